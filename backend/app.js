@@ -0,0 +1,115 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+
+const authRoutes = require('./routes/auth');
+const messageRoutes = require('./routes/messages');
+const channelRoutes = require('./routes/channels');
+const readRoutes = require('./routes/reads');
+const userRoutes = require('./routes/users');
+const attachmentRoutes = require('./routes/attachments');
+const moderationRoutes = require('./routes/moderation');
+const pushRoutes = require('./routes/push');
+const { requestLogger } = require('./middleware/requestLogger');
+const { getPresenceStore } = require('./presence');
+const { getConfig } = require('./config');
+
+// File downloads, relative to /api
+const DOWNLOAD_PATHS = [/^\/attachments\/[^/]+\/download$/, /^\/users\/[^/]+\/avatar$/];
+
+const isDownload = (req) => req.method === 'GET' && DOWNLOAD_PATHS.some(pattern => pattern.test(req.path));
+
+// Create the Express app with its middleware and routes. Routes that push
+// realtime updates find the Socket.io server with app.get('io'), so set it
+// once the socket server exists.
+const createApp = (config = getConfig()) => {
+  const { frontendUrl, nodeEnv } = config;
+  const app = express();
+
+  // Request ids and access logs come first, so every response carries one
+  app.use(requestLogger);
+
+  // Middleware - CORS must be before other middleware
+  app.use(cors({
+    origin: frontendUrl,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['Content-Type', 'X-Request-Id'],
+    preflightContinue: false,
+    optionsSuccessStatus: 204
+  }));
+
+  // Explicit OPTIONS handler for all Socket.io paths
+  app.options('*', (req, res, next) => {
+    if (req.path.startsWith('/socket.io/')) {
+      res.header('Access-Control-Allow-Origin', frontendUrl);
+      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Access-Control-Max-Age', '86400');
+      return res.sendStatus(204);
+    }
+    next();
+  });
+
+  app.use(helmet({
+    crossOriginResourcePolicy: { policy: "cross-origin" },
+    contentSecurityPolicy: false // Allow Socket.io
+  }));
+  app.use(express.json());
+
+  // Rate limiting. Attachment and avatar downloads get their own, larger
+  // budget: a conversation full of images would otherwise use up the one
+  // for API calls and token refreshes.
+  const windowMs = config.apiRateLimitWindowMinutes * 60 * 1000;
+  app.use('/api/', rateLimit({ windowMs, max: config.apiRateLimitMax, skip: isDownload }));
+  app.use('/api/', rateLimit({ windowMs, max: config.downloadRateLimitMax, skip: req => !isDownload(req) }));
+
+  // Health check endpoint
+  app.get('/health', async (req, res) => {
+    const onlineUsers = await getPresenceStore().count().catch(() => null);
+    res.status(200).json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      frontendUrl,
+      socketIoEnabled: true,
+      activeUsers: onlineUsers,
+      corsOrigin: frontendUrl
+    });
+  });
+
+  // Socket.io connection test endpoint (for debugging)
+  app.get('/socket-test', (req, res) => {
+    res.status(200).json({
+      message: 'Socket.io endpoint should be available at /socket.io/',
+      frontendUrl,
+      corsConfigured: true
+    });
+  });
+
+  // API Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/messages', messageRoutes);
+  app.use('/api/channels', channelRoutes);
+  app.use('/api/reads', readRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/attachments', attachmentRoutes);
+  app.use('/api/moderation', moderationRoutes);
+  app.use('/api/push', pushRoutes);
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    req.log.error('Unhandled request error', { err });
+    res.status(500).json({
+      message: 'Something went wrong!',
+      error: nodeEnv === 'development' ? err.message : undefined
+    });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
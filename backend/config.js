@@ -0,0 +1,240 @@
+// Server settings from the environment, checked once at startup so a
+// missing or malformed variable stops the server with a clear message
+// instead of failing on the first request that needs it. This is the only
+// place that reads the environment: the server hands its config to
+// createServer, and modules that need a setting read it with getConfig().
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LIMITS } = require('./middleware/socketRateLimit');
+
+const NODE_ENVS = ['development', 'production', 'test'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const LOG_FORMATS = ['json', 'pretty'];
+
+// JWT_SECRET in production has to be at least this long and not the
+// placeholder from .env.example
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+const EXAMPLE_SECRET = 'your_jwt_secret_key_change_this_in_production';
+
+const DEFAULT_LOG_LEVELS = { development: 'debug', production: 'info', test: 'warn' };
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers take the raw string and return the value, or throw with what is
+// wrong with it
+const parsers = {
+  string: value => value,
+  // Comma-separated, e.g. BLOCKED_WORDS=foo,bar
+  list: value => value.split(',').map(item => item.trim()).filter(Boolean),
+  port: (value) => {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error('must be a port number between 1 and 65535');
+    }
+    return port;
+  },
+  positiveInteger: (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error('must be a positive integer');
+    return number;
+  },
+  positiveNumber: (value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new Error('must be a positive number');
+    return number;
+  },
+  // jsonwebtoken durations: seconds, or a number with a unit such as 15m
+  duration: (value) => {
+    if (!/^\d+(ms|s|m|h|d|w|y)?$/.test(value)) throw new Error('must be a duration such as 900, 15m or 1h');
+    return /^\d+$/.test(value) ? Number(value) : value;
+  },
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error('must be a URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('must be an http or https URL');
+    // Remove trailing slash if present
+    return value.replace(/\/$/, '');
+  },
+  redisUrl: (value) => {
+    if (!/^rediss?:\/\/.+/.test(value)) throw new Error('must be a redis:// or rediss:// URL');
+    return value;
+  },
+  smtpUrl: (value) => {
+    if (!/^smtps?:\/\/.+/.test(value)) throw new Error('must be an smtp:// or smtps:// URL');
+    return value;
+  },
+  mongoUri: (value) => {
+    if (!/^mongodb(\+srv)?:\/\/.+/.test(value)) throw new Error('must be a mongodb:// or mongodb+srv:// connection string');
+    return value;
+  },
+  // Web Push wants a contact for the push services
+  vapidSubject: (value) => {
+    if (!/^(mailto:|https:\/\/).+/.test(value)) throw new Error('must be a mailto: or https:// URL');
+    return value;
+  },
+  // A JSON file, read now so a bad path or syntax stops the server
+  jsonFile: (value) => {
+    let contents;
+    try {
+      contents = fs.readFileSync(path.resolve(value), 'utf8');
+    } catch {
+      throw new Error(`cannot be read (${value})`);
+    }
+    try {
+      return JSON.parse(contents);
+    } catch {
+      throw new Error(`is not valid JSON (${value})`);
+    }
+  },
+  // e.g. {"sendMessage":{"capacity":5,"perSecond":1}}; events without a
+  // default limit need both fields
+  rateLimits: (value) => {
+    let limits;
+    try {
+      limits = JSON.parse(value);
+    } catch {
+      throw new Error('must be valid JSON');
+    }
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      throw new Error('must be a JSON object keyed by event name');
+    }
+    Object.entries(limits).forEach(([event, limit]) => {
+      ['capacity', 'perSecond'].forEach((field) => {
+        if (limit?.[field] === undefined && !DEFAULT_LIMITS[event]) {
+          throw new Error(`${event}.${field} is required`);
+        }
+        if (limit?.[field] !== undefined && !(Number(limit[field]) > 0)) {
+          throw new Error(`${event}.${field} must be a positive number`);
+        }
+      });
+    });
+    return limits;
+  }
+};
+
+// One entry per setting: the variable it comes from, how to parse it, and
+// its default (a function of the settings read so far when it depends on
+// them). `values` limits a setting to a list; `required` has no default.
+const SCHEMA = {
+  nodeEnv: { env: 'NODE_ENV', values: NODE_ENVS, default: 'development' },
+  port: { env: 'PORT', type: 'port', default: 5000 },
+  mongoUri: { env: 'MONGODB_URI', type: 'mongoUri', required: true },
+  jwtSecret: { env: 'JWT_SECRET', required: true },
+  frontendUrl: { env: 'FRONTEND_URL', type: 'url', default: 'http://localhost:5173' },
+  accessTokenTtl: { env: 'ACCESS_TOKEN_TTL', type: 'duration', default: '15m' },
+  refreshTokenTtlDays: { env: 'REFRESH_TOKEN_TTL_DAYS', type: 'positiveInteger', default: 30 },
+  apiRateLimitWindowMinutes: { env: 'API_RATE_LIMIT_WINDOW_MINUTES', type: 'positiveInteger', default: 15 },
+  apiRateLimitMax: { env: 'API_RATE_LIMIT_MAX', type: 'positiveInteger', default: 100 },
+  downloadRateLimitMax: { env: 'DOWNLOAD_RATE_LIMIT_MAX', type: 'positiveInteger', default: 1000 },
+  logLevel: { env: 'LOG_LEVEL', values: LOG_LEVELS, default: ({ nodeEnv }) => DEFAULT_LOG_LEVELS[nodeEnv] },
+  logFormat: { env: 'LOG_FORMAT', values: LOG_FORMATS, default: ({ nodeEnv }) => (nodeEnv === 'development' ? 'pretty' : 'json') },
+  storageDriver: { env: 'STORAGE_DRIVER', values: ['local'], default: 'local' },
+  uploadDir: { env: 'UPLOAD_DIR', default: 'uploads' },
+  maxUploadSize: { env: 'MAX_UPLOAD_SIZE', type: 'positiveInteger', default: 10 * 1024 * 1024 },
+  mailTransport: { env: 'MAIL_TRANSPORT', values: ['console', 'file', 'smtp'], default: 'console' },
+  smtpUrl: { env: 'SMTP_URL', type: 'smtpUrl', default: null },
+  mailDir: { env: 'MAIL_DIR', default: 'mail-outbox' },
+  mailFrom: { env: 'MAIL_FROM', default: 'Tubonge <no-reply@tubonge.local>' },
+  messagePipelineConfig: { env: 'MESSAGE_PIPELINE_CONFIG', type: 'jsonFile', default: null },
+  messageStages: { env: 'MESSAGE_STAGES', type: 'list', default: null },
+  blockedWords: { env: 'BLOCKED_WORDS', type: 'list', default: null },
+  blockedWordsMode: { env: 'BLOCKED_WORDS_MODE', values: ['mask', 'reject'], default: null },
+  blockedLinkDomains: { env: 'BLOCKED_LINK_DOMAINS', type: 'list', default: null },
+  socketRateLimits: { env: 'SOCKET_RATE_LIMITS', type: 'rateLimits', default: null },
+  socketPenaltyMuteAfter: { env: 'SOCKET_PENALTY_MUTE_AFTER', type: 'positiveNumber', default: null },
+  socketPenaltyMuteSeconds: { env: 'SOCKET_PENALTY_MUTE_SECONDS', type: 'positiveNumber', default: null },
+  socketPenaltyDisconnectAfter: { env: 'SOCKET_PENALTY_DISCONNECT_AFTER', type: 'positiveNumber', default: null },
+  socketPenaltyWindowSeconds: { env: 'SOCKET_PENALTY_WINDOW_SECONDS', type: 'positiveNumber', default: null },
+  pushSender: { env: 'PUSH_SENDER', values: ['webpush', 'memory'], default: 'webpush' },
+  vapidPublicKey: { env: 'VAPID_PUBLIC_KEY', default: null },
+  vapidPrivateKey: { env: 'VAPID_PRIVATE_KEY', default: null },
+  vapidSubject: { env: 'VAPID_SUBJECT', type: 'vapidSubject', default: 'mailto:admin@tubonge.local' },
+  pubsubAdapter: { env: 'PUBSUB_ADAPTER', values: ['memory', 'redis', 'mongo'], default: 'memory' },
+  redisUrl: { env: 'REDIS_URL', type: 'redisUrl', default: 'redis://localhost:6379' },
+  presenceStore: { env: 'PRESENCE_STORE', values: ['memory', 'mongo'], default: 'memory' }
+};
+
+// Checks that span several settings
+const crossChecks = (config) => {
+  const problems = [];
+  if (config.nodeEnv === 'production' && config.jwtSecret) {
+    if (config.jwtSecret === EXAMPLE_SECRET) {
+      problems.push('JWT_SECRET is still the example value; set a random secret');
+    } else if (config.jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+      problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+    }
+  }
+  // Neither console nor file delivers mail, and both would leave
+  // verification and reset tokens on the server
+  if (config.nodeEnv === 'production' && ['console', 'file'].includes(config.mailTransport)) {
+    problems.push(`MAIL_TRANSPORT=${config.mailTransport} does not deliver emails; use smtp in production`);
+  }
+  if (config.mailTransport === 'smtp' && !config.smtpUrl) {
+    problems.push('SMTP_URL is required when MAIL_TRANSPORT=smtp');
+  }
+  if (Boolean(config.vapidPublicKey) !== Boolean(config.vapidPrivateKey)) {
+    problems.push('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set together');
+  }
+  return problems;
+};
+
+// Read and check every setting. Throws a ConfigError listing all problems
+// at once, otherwise returns the settings as a frozen object.
+const loadConfig = (env = process.env) => {
+  const config = {};
+  const problems = [];
+
+  Object.entries(SCHEMA).forEach(([key, setting]) => {
+    const raw = typeof env[setting.env] === 'string' ? env[setting.env].trim() : '';
+    if (!raw) {
+      if (setting.required) {
+        problems.push(`${setting.env} is required`);
+        config[key] = null;
+      } else {
+        config[key] = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+      }
+      return;
+    }
+
+    if (setting.values && !setting.values.includes(raw)) {
+      problems.push(`${setting.env} must be one of: ${setting.values.join(', ')} (got "${raw}")`);
+      return;
+    }
+    try {
+      config[key] = parsers[setting.type || 'string'](raw);
+    } catch (error) {
+      problems.push(`${setting.env} ${error.message}`);
+    }
+  });
+
+  problems.push(...crossChecks(config));
+  if (problems.length > 0) throw new ConfigError(problems);
+  return Object.freeze(config);
+};
+
+let current = null;
+
+// The settings in use: the ones given to setConfig (createServer does this),
+// otherwise loaded from process.env on first use
+const getConfig = () => {
+  if (!current) {
+    current = loadConfig();
+  }
+  return current;
+};
+
+const setConfig = (config) => {
+  current = config;
+};
+
+module.exports = { loadConfig, getConfig, setConfig, ConfigError, SCHEMA };
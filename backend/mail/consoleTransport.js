@@ -0,0 +1,12 @@
+const { logger } = require('../utils/logger');
+
+// Notes each email in the server log, for local development. Only the
+// recipient and subject are logged: bodies carry verification and reset
+// tokens. Use the file transport to read the links.
+class ConsoleTransport {
+  async send(message) {
+    logger.info('Email sent', { to: message.to, subject: message.subject });
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each email as a JSON file under `directory`, so tests and local
+// setups can read what would have been sent
+class FileTransport {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async send(message) {
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(this.directory, name),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,39 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+const { getConfig } = require('../config');
+
+// Mail transports implement:
+//   send({ from, to, subject, text }) -> Promise
+// Select one with MAIL_TRANSPORT; the console transport is the default.
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport(getConfig().mailDir),
+  smtp: () => new SmtpTransport(getConfig().smtpUrl)
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = getConfig().mailTransport;
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the mail transport, e.g. with an API-based implementation
+const setTransport = (adapter) => {
+  transport = adapter;
+};
+
+const sendMail = (message) =>
+  getTransport().send({
+    from: getConfig().mailFrom,
+    ...message
+  });
+
+module.exports = { sendMail, setTransport };
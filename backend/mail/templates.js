@@ -0,0 +1,32 @@
+const { getConfig } = require('../config');
+
+// Links point at the frontend, which reads the token from the query string
+const frontendLink = (params) => `${getConfig().frontendUrl}/?${new URLSearchParams(params)}`;
+
+const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Verify your Tubonge email address',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    frontendLink({ verify: token }),
+    '',
+    'The link expires in 24 hours.'
+  ].join('\n')
+});
+
+const passwordResetEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Reset your Tubonge password',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Someone asked to reset the password of your account. To choose a new password, open this link:',
+    frontendLink({ reset: token }),
+    '',
+    'The link expires in 1 hour. If you did not ask for this, you can ignore this email.'
+  ].join('\n')
+});
+
+module.exports = { verificationEmail, passwordResetEmail };
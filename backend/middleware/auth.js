@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+const { getConfig } = require('../config');
+
+const banMessage = (user) => `You are banned until ${user.bannedUntil.toISOString()}`;
 
 // HTTP request authentication
 const protect = async (req, res, next) => {
@@ -14,12 +18,22 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, no token' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, getConfig().jwtSecret);
+
+    // Tokens of revoked sessions stop working before they expire
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
     
     if (!req.user) {
       return res.status(401).json({ message: 'User not found' });
     }
+    if (req.user.isBanned()) {
+      return res.status(403).json({ message: banMessage(req.user), bannedUntil: req.user.bannedUntil });
+    }
+    req.sessionId = decoded.sid;
 
     next();
   } catch (error) {
@@ -27,8 +41,16 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Restrict a route to users with at least the given role. Use after protect.
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || !User.hasRole(req.user, role)) {
+    return res.status(403).json({ message: 'You do not have permission to do this' });
+  }
+  next();
+};
+
 // Socket.io authentication middleware
-const verifySocketToken = (socket, next) => {
+const verifySocketToken = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
 
@@ -36,13 +58,27 @@ const verifySocketToken = (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = decoded;
+    const decoded = jwt.verify(token, getConfig().jwtSecret);
+    if (!(await isSessionActive(decoded.sid))) {
+      return next(new Error('Authentication error: Session has been revoked'));
+    }
+
+    const user = await User.findById(decoded.id).select('bannedUntil');
+    if (!user) {
+      return next(new Error('Authentication error: User not found'));
+    }
+    if (user.isBanned()) {
+      const error = new Error(banMessage(user));
+      error.data = { bannedUntil: user.bannedUntil };
+      return next(error);
+    }
+
+    socket.user = { id: decoded.id, username: decoded.username, sessionId: decoded.sid };
     next();
   } catch (error) {
     next(new Error('Authentication error: Invalid token'));
   }
 };
 
-module.exports = { protect, verifySocketToken };
+module.exports = { protect, requireRole, verifySocketToken, banMessage };
 
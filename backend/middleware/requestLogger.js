@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Longest X-Request-Id accepted from a client or proxy
+const MAX_REQUEST_ID_LENGTH = 100;
+
+// Give every request an id, reusing X-Request-Id when a proxy set one, and
+// a logger that tags its entries with it. Each request is logged once it
+// has been answered; the query string is left out since it can hold search
+// terms.
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]+$/.test(incoming) && incoming.length <= MAX_REQUEST_ID_LENGTH
+    ? incoming
+    : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  req.log = logger.child({ requestId: req.id });
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    req.log.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user?._id
+    });
+  });
+  next();
+};
+
+module.exports = { requestLogger };
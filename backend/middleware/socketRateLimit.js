@@ -0,0 +1,155 @@
+// Token-bucket rate limiting for socket events, per user and event type, so
+// several tabs of one user share a budget. Each bucket holds up to `capacity`
+// events and refills at `perSecond`.
+//
+// Going over a limit is a violation. Repeated violations escalate: a warning
+// first, then a temporary mute during which every limited event is dropped,
+// then a disconnect. Violations are forgotten after a quiet period.
+const DEFAULT_LIMITS = {
+  sendMessage: { capacity: 5, perSecond: 1 },
+  typing: { capacity: 5, perSecond: 1 },
+  stopTyping: { capacity: 5, perSecond: 1 },
+  addReaction: { capacity: 10, perSecond: 2 },
+  removeReaction: { capacity: 10, perSecond: 2 },
+  // Each sync can read up to 201 messages
+  sync: { capacity: 10, perSecond: 0.5 }
+};
+
+const DEFAULT_PENALTIES = {
+  muteAfter: 3,
+  muteSeconds: 30,
+  disconnectAfter: 10,
+  windowSeconds: 60
+};
+
+// Idle users' state is dropped after this long
+const IDLE_MS = 10 * 60 * 1000;
+
+class TokenBucket {
+  constructor({ capacity, perSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  // Take one token. Returns 0 when allowed, otherwise the milliseconds until
+  // a token is available.
+  take(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.perSecond);
+    this.updatedAt = now;
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.perSecond) * 1000);
+  }
+}
+
+class SocketRateLimiter {
+  // Limits can be overridden per event, e.g.
+  // { sendMessage: { capacity: 10, perSecond: 2 } }, and penalties one at a
+  // time; unset penalties keep their defaults
+  constructor({ limits, penalties = {} } = {}) {
+    this.limits = { ...DEFAULT_LIMITS };
+    Object.entries(limits || {}).forEach(([event, limit]) => {
+      this.limits[event] = { ...DEFAULT_LIMITS[event], ...limit };
+    });
+    this.penalties = { ...DEFAULT_PENALTIES };
+    Object.entries(penalties).forEach(([name, value]) => {
+      if (value != null) this.penalties[name] = value;
+    });
+    // userId -> { buckets: { event: TokenBucket }, violations, lastViolationAt, mutedUntil, lastSeenAt }
+    this.users = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), IDLE_MS);
+    // Don't keep the process alive just for cleanup
+    this.cleanupTimer.unref();
+  }
+
+  stateFor(userId, now) {
+    let state = this.users.get(userId);
+    if (!state) {
+      state = { buckets: {}, violations: 0, lastViolationAt: 0, mutedUntil: 0 };
+      this.users.set(userId, state);
+    }
+    state.lastSeenAt = now;
+    return state;
+  }
+
+  // Decide on one event. Returns { allowed: true } or
+  // { allowed: false, action: 'warn' | 'mute' | 'disconnect', retryAfter }
+  // with retryAfter in seconds.
+  check(userId, event, now = Date.now()) {
+    const limit = this.limits[event];
+    if (!limit) return { allowed: true };
+
+    const state = this.stateFor(userId, now);
+    if (state.mutedUntil > now) {
+      // Flooding on while muted still escalates
+      return this.violation(state, now, state.mutedUntil - now);
+    }
+
+    if (!state.buckets[event]) {
+      state.buckets[event] = new TokenBucket(limit, now);
+    }
+    const waitMs = state.buckets[event].take(now);
+    if (waitMs === 0) return { allowed: true };
+    return this.violation(state, now, waitMs);
+  }
+
+  violation(state, now, waitMs) {
+    const { muteAfter, muteSeconds, disconnectAfter, windowSeconds } = this.penalties;
+    if (now - state.lastViolationAt > windowSeconds * 1000) {
+      state.violations = 0;
+    }
+    state.violations += 1;
+    state.lastViolationAt = now;
+
+    if (state.violations >= disconnectAfter) {
+      state.violations = 0;
+      state.mutedUntil = now + muteSeconds * 1000;
+      return { allowed: false, action: 'disconnect', retryAfter: muteSeconds };
+    }
+    if (state.violations >= muteAfter && state.mutedUntil <= now) {
+      state.mutedUntil = now + muteSeconds * 1000;
+      return { allowed: false, action: 'mute', retryAfter: muteSeconds };
+    }
+    return {
+      allowed: false,
+      action: state.mutedUntil > now ? 'mute' : 'warn',
+      retryAfter: Math.ceil(Math.max(waitMs, state.mutedUntil - now) / 1000)
+    };
+  }
+
+  cleanup(now = Date.now()) {
+    this.users.forEach((state, userId) => {
+      if (now - state.lastSeenAt > IDLE_MS && state.mutedUntil <= now) {
+        this.users.delete(userId);
+      }
+    });
+  }
+
+  // Per-socket packet middleware, for socket.use(). Limited events are
+  // dropped and answered with a rateLimited event (and an error to their
+  // acknowledgement callback, if any).
+  middleware(socket) {
+    return (packet, next) => {
+      const [event, ...args] = packet;
+      const result = this.check(socket.user.id, event);
+      if (result.allowed) return next();
+
+      const payload = { event, action: result.action, retryAfter: result.retryAfter };
+      socket.emit('rateLimited', payload);
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        ack({ error: 'Rate limited', code: 'rateLimited', ...payload });
+      }
+      if (result.action === 'disconnect') {
+        socket.log.warn('Disconnecting for flooding', { event });
+        socket.disconnect(true);
+      }
+    };
+  }
+}
+
+module.exports = { SocketRateLimiter, TokenBucket, DEFAULT_LIMITS };
@@ -0,0 +1,33 @@
+const multer = require('multer');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Accept one file in `field`, kept in memory until handed to the storage
+// adapter. Size and type violations are answered with a 400.
+const uploadSingle = (field, { maxSize, allowedTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      callback(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (!error) return next();
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: `File cannot exceed ${Math.round(maxSize / 1024 / 1024)} MB` });
+      }
+      if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ message: 'File type is not allowed' });
+      }
+      next(error);
+    });
+  };
+};
+
+module.exports = { uploadSingle, IMAGE_TYPES };
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set once the attachment is sent with a message
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Key returned by the storage adapter
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Only set for images
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+attachmentSchema.index({ owner: 1, message: 1 });
+// For the cleanup of attachments that were never sent
+attachmentSchema.index({ message: 1, createdAt: 1 });
+
+// Metadata stored on messages and returned to clients
+attachmentSchema.methods.toMetadata = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    size: this.size,
+    type: this.type,
+    url: `/api/attachments/${this._id}/download`,
+    width: this.width,
+    height: this.height
+  };
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const channelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [2, 'Channel name must be at least 2 characters'],
+    maxlength: [30, 'Channel name cannot exceed 30 characters'],
+    match: [/^[a-z0-9_-]+$/, 'Channel name may only contain letters, numbers, dashes and underscores']
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, 'Topic cannot exceed 200 characters']
+  },
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  owners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+channelSchema.index({ members: 1 });
+
+// Socket.io room used to deliver channel events
+channelSchema.statics.roomName = function(channelId) {
+  return `channel:${channelId}`;
+};
+
+channelSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.toString() === userId.toString());
+};
+
+channelSchema.methods.isOwner = function(userId) {
+  return this.owners.some(owner => owner.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Channel', channelSchema);
@@ -6,19 +6,121 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for direct messages; a message with neither a recipient nor a
+  // channel belongs to the global chat
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    default: null
+  },
+  // Id the sending client gave the message, so a retried send is saved once
+  clientId: {
+    type: String,
+    default: null
+  },
+  // Set for thread replies; replies live in their parent's conversation
+  // but are left out of the main history
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Thread metadata, kept on the parent message
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
+  lastReplyBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   content: {
     type: String,
-    required: [true, 'Message content is required'],
+    // Deleted messages are kept as tombstones without content, and messages
+    // with attachments may have no text
+    required: [
+      function() { return !this.deletedAt && !(this.attachments && this.attachments.length); },
+      'Message content is required'
+    ],
     trim: true,
     maxlength: [1000, 'Message cannot exceed 1000 characters']
   },
   timestamp: {
     type: Date,
     default: Date.now
-  }
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Previous versions of the content, oldest first
+  editHistory: [{
+    content: String,
+    editedAt: Date
+  }],
+  // Metadata of the files sent with the message
+  attachments: [{
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment'
+    },
+    name: String,
+    size: Number,
+    type: { type: String },
+    url: String,
+    width: Number,
+    height: Number
+  }],
+  // Users mentioned with @username who can read the message
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // One entry per emoji with the users who reacted with it
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    userIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }]
+}, {
+  // updatedAt moves on every change (edits, deletions, reactions, replies),
+  // so reconnecting clients can ask for everything changed since a time
+  timestamps: { createdAt: false, updatedAt: true }
 });
 
-messageSchema.index({ timestamp: -1 });
+// History is paged by timestamp with _id as a tiebreak
+messageSchema.index({ timestamp: -1, _id: -1 });
+messageSchema.index({ sender: 1, recipient: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ channel: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ parentId: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ mentions: 1, timestamp: -1 });
+messageSchema.index({ updatedAt: 1 });
+messageSchema.index(
+  { sender: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+// Full-text search over message content
+messageSchema.index({ content: 'text' });
 
 module.exports = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['deleteMessage', 'mute', 'unmute', 'ban', 'unban', 'setRole'];
+
+// Audit record of an action taken by a moderator or admin
+const moderationLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  // End of a mute or ban
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // New role for setRole
+  role: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+moderationLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
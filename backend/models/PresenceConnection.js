@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One connected socket, for presence shared between backend instances. The
+// instance that holds the socket keeps moving expiresAt forward; once it
+// stops, the connection expires and the user goes offline.
+const presenceConnectionSchema = new mongoose.Schema({
+  socketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instance: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+presenceConnectionSchema.index({ user: 1, expiresAt: 1 });
+presenceConnectionSchema.index({ instance: 1 });
+// Instances sweep expired connections themselves so they can announce who
+// went offline; MongoDB only removes what is left over once every instance
+// is gone
+presenceConnectionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('PresenceConnection', presenceConnectionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription. Each belongs to the session it was
+// created in, so it ends when that device logs out.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+pushSubscriptionSchema.index({ session: 1 });
+
+// The shape push services expect
+pushSubscriptionSchema.methods.toWebPush = function() {
+  return { endpoint: this.endpoint, keys: { p256dh: this.keys.p256dh, auth: this.keys.auth } };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// How far a user has read in one conversation
+const readStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'global', 'channel:<channelId>' or 'direct:<otherUserId>'
+  conversationKey: {
+    type: String,
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // Timestamp of lastReadMessage, used to count and compare positions
+  lastReadAt: {
+    type: Date,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+readStateSchema.index({ user: 1, conversationKey: 1 }, { unique: true });
+readStateSchema.index({ conversationKey: 1 });
+
+// Key of the conversation a message belongs to, from one user's point of view
+readStateSchema.statics.conversationKey = function(message, userId) {
+  if (message.channel) {
+    return `channel:${message.channel._id || message.channel}`;
+  }
+  if (message.recipient) {
+    const senderId = (message.sender._id || message.sender).toString();
+    const recipientId = (message.recipient._id || message.recipient).toString();
+    return `direct:${senderId === userId.toString() ? recipientId : senderId}`;
+  }
+  return 'global';
+};
+
+module.exports = mongoose.model('ReadState', readStateSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session holds the hash of its current refresh
+// token, which is replaced every time the token is used.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token that was rotated out last, so a request racing the rotation
+  // isn't mistaken for a stolen token
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Socket.io room holding every socket authenticated with a session
+sessionSchema.statics.roomName = function(sessionId) {
+  return `session:${sessionId}`;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+// Ordered from least to most privileged
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Where each kind of emailed token is stored, and how long it is valid
+const EMAIL_TOKEN_FIELDS = {
+  verification: {
+    hash: 'emailVerificationTokenHash',
+    expires: 'emailVerificationExpires',
+    ttl: 24 * 60 * 60 * 1000
+  },
+  passwordReset: {
+    hash: 'passwordResetTokenHash',
+    expires: 'passwordResetExpires',
+    ttl: 60 * 60 * 1000
+  }
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -23,12 +43,147 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Shown instead of the username when set
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [40, 'Display name cannot exceed 40 characters'],
+    default: ''
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot exceed 300 characters'],
+    default: ''
+  },
+  // Image kept through the storage adapter; updatedAt versions its URL
+  avatar: {
+    type: new mongoose.Schema({
+      storageKey: String,
+      type: { type: String },
+      updatedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+  // Deleted accounts are anonymised but kept, so their messages still have a sender
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens sent by email; only their hashes are stored
+  emailVerificationTokenHash: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Set by moderators. Muted users cannot post; banned users cannot log in
+  // or connect. Both end on their own when the date passes.
+  mutedUntil: {
+    type: Date,
+    default: null
+  },
+  bannedUntil: {
+    type: Date,
+    default: null
+  },
+  // Users this user blocked: they cannot send them direct messages, and
+  // their messages and typing are hidden from them
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users this user muted: their messages stay visible but don't count as
+  // unread, and their typing is hidden
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Presence status chosen by the user; invisible users appear offline
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'online'
+  },
+  lastSeen: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.index({ emailVerificationTokenHash: 1 });
+userSchema.index({ passwordResetTokenHash: 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ mutedUsers: 1 });
+
+userSchema.statics.STATUSES = STATUSES;
+userSchema.statics.ROLES = ROLES;
+
+// Whether a user's role is at least `role`
+userSchema.statics.hasRole = function(user, role) {
+  return ROLES.indexOf(user.role || 'user') >= ROLES.indexOf(role);
+};
+
+// Moderators can act on regular users, admins on moderators too
+userSchema.statics.canModerate = function(actor, target) {
+  return ROLES.indexOf(actor.role || 'user') > ROLES.indexOf(target.role || 'user');
+};
+
+// Fields needed to show a user next to their messages
+userSchema.statics.SUMMARY_FIELDS = 'username displayName avatar';
+
+userSchema.statics.avatarUrl = function(user) {
+  if (!user.avatar || !user.avatar.storageKey) return null;
+  return `/api/users/${user._id}/avatar?v=${new Date(user.avatar.updatedAt).getTime()}`;
+};
+
+// Public summary of a user (or populated user) as sent to clients
+userSchema.statics.toSummary = function(user) {
+  if (!user) return null;
+  return {
+    _id: user._id,
+    username: user.username,
+    displayName: user.displayName || '',
+    avatarUrl: this.avatarUrl(user)
+  };
+};
+
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Find the user an unexpired email token belongs to
+userSchema.statics.findByEmailToken = function(purpose, token) {
+  const fields = EMAIL_TOKEN_FIELDS[purpose];
+  return this.findOne({
+    [fields.hash]: this.hashToken(token),
+    [fields.expires]: { $gt: new Date() }
+  });
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -41,5 +196,34 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(id => id.toString() === userId.toString());
+};
+
+userSchema.methods.isMuted = function() {
+  return Boolean(this.mutedUntil && this.mutedUntil > new Date());
+};
+
+userSchema.methods.isBanned = function() {
+  return Boolean(this.bannedUntil && this.bannedUntil > new Date());
+};
+
+// Create a token to email to the user, replacing any earlier one. Returns the
+// raw token; save the user afterwards.
+userSchema.methods.createEmailToken = function(purpose) {
+  const fields = EMAIL_TOKEN_FIELDS[purpose];
+  const token = crypto.randomBytes(32).toString('hex');
+  this[fields.hash] = this.constructor.hashToken(token);
+  this[fields.expires] = new Date(Date.now() + fields.ttl);
+  return token;
+};
+
+// Tokens are single-use
+userSchema.methods.clearEmailToken = function(purpose) {
+  const fields = EMAIL_TOKEN_FIELDS[purpose];
+  this[fields.hash] = null;
+  this[fields.expires] = null;
+};
+
 module.exports = mongoose.model('User', userSchema);
 
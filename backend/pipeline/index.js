@@ -0,0 +1,91 @@
+const defaults = require('./config.json');
+const LengthStage = require('./lengthStage');
+const WordStage = require('./wordStage');
+const LinkStage = require('./linkStage');
+const SpamStage = require('./spamStage');
+const { getConfig } = require('../config');
+
+// Stages implement:
+//   process({ content }, { userId, action }) -> { content?, reject? }
+// returning a new content to pass on, or a reason to refuse the message.
+// action is 'send' or 'edit'. Stages may be async.
+const stageTypes = {
+  length: LengthStage,
+  words: WordStage,
+  links: LinkStage,
+  spam: SpamStage
+};
+
+// Defaults from config.json, overridden per stage by the JSON file at
+// MESSAGE_PIPELINE_CONFIG and by the list settings below
+const loadConfig = ({ messagePipelineConfig, messageStages, blockedWords, blockedWordsMode, blockedLinkDomains } = getConfig()) => {
+  let config = { ...defaults };
+  if (messagePipelineConfig) {
+    config = { ...config, ...messagePipelineConfig };
+    Object.keys(stageTypes).forEach(name => {
+      config[name] = { ...defaults[name], ...messagePipelineConfig[name] };
+    });
+  }
+  if (messageStages) {
+    config.stages = messageStages;
+  }
+  if (blockedWords) {
+    config.words = { ...config.words, words: blockedWords };
+  }
+  if (blockedWordsMode) {
+    config.words = { ...config.words, mode: blockedWordsMode };
+  }
+  if (blockedLinkDomains) {
+    config.links = { ...config.links, blockedDomains: blockedLinkDomains };
+  }
+  return config;
+};
+
+// Runs message content through each stage in turn
+class MessagePipeline {
+  constructor(stages) {
+    this.stages = stages;
+  }
+
+  // Resolves with { content } when every stage accepts the message, or with
+  // { rejected: true, reason, stage } naming the stage that refused it
+  async run(content, context) {
+    let current = content;
+    for (const { name, stage } of this.stages) {
+      const result = (await stage.process({ content: current }, context)) || {};
+      if (result.reject) {
+        return { rejected: true, reason: result.reject, stage: name };
+      }
+      if (typeof result.content === 'string') {
+        current = result.content;
+      }
+    }
+    return { content: current };
+  }
+}
+
+const createPipeline = (config = loadConfig()) => new MessagePipeline(config.stages.map(name => {
+  if (!stageTypes[name]) {
+    throw new Error(`Unknown message stage: ${name}`);
+  }
+  return { name, stage: new stageTypes[name](config[name]) };
+}));
+
+let pipeline = null;
+
+const getPipeline = () => {
+  if (!pipeline) {
+    pipeline = createPipeline();
+  }
+  return pipeline;
+};
+
+// Replace the pipeline, e.g. with one built from custom stages
+const setPipeline = (replacement) => {
+  pipeline = replacement;
+};
+
+// Check and clean up message content before it is saved
+const processMessage = (content, context) => getPipeline().run(content, context);
+
+module.exports = { processMessage, createPipeline, setPipeline, MessagePipeline, stageTypes };
@@ -0,0 +1,25 @@
+// Tidies whitespace and enforces the maximum length. Control characters are
+// removed, trailing spaces trimmed and long runs of blank lines shortened.
+class LengthStage {
+  constructor({ maxLength = 1000, maxBlankLines = 2 } = {}) {
+    this.maxLength = maxLength;
+    this.maxBlankLines = maxBlankLines;
+  }
+
+  process({ content }) {
+    const blankLines = new RegExp(`\\n{${this.maxBlankLines + 2},}`, 'g');
+    const normalized = content
+      .replace(/\r\n?/g, '\n')
+      .replace(/[\u0000-\u0008\u000b-\u001f\u007f\u200b-\u200d\u2060\ufeff]/g, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(blankLines, '\n'.repeat(this.maxBlankLines + 1))
+      .trim();
+
+    if (normalized.length > this.maxLength) {
+      return { reject: `Message cannot exceed ${this.maxLength} characters` };
+    }
+    return { content: normalized };
+  }
+}
+
+module.exports = LengthStage;
@@ -0,0 +1,39 @@
+// Links written with a scheme or starting with www.
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+const hostnameOf = (link) => {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// Rejects messages linking to blocklisted domains (including their
+// subdomains) or containing too many links
+class LinkStage {
+  constructor({ blockedDomains = [], maxLinks = 5 } = {}) {
+    this.blockedDomains = blockedDomains.map(domain => domain.trim().toLowerCase()).filter(Boolean);
+    this.maxLinks = maxLinks;
+  }
+
+  process({ content }) {
+    const links = content.match(LINK_PATTERN) || [];
+    if (this.maxLinks && links.length > this.maxLinks) {
+      return { reject: `A message can contain at most ${this.maxLinks} links` };
+    }
+
+    for (const link of links) {
+      const hostname = hostnameOf(link);
+      const blocked = hostname && this.blockedDomains.find(domain => (
+        hostname === domain || hostname.endsWith(`.${domain}`)
+      ));
+      if (blocked) {
+        return { reject: `Links to ${blocked} are not allowed` };
+      }
+    }
+    return {};
+  }
+}
+
+module.exports = LinkStage;
@@ -0,0 +1,53 @@
+// Spam heuristics: the same message sent over and over, shouting in capitals
+// and mentioning lots of people at once. Recent messages are remembered per
+// user in memory.
+class SpamStage {
+  constructor({
+    repeatWindowSeconds = 60,
+    maxRepeats = 2,
+    capsMinLength = 12,
+    capsRatio = 0.8,
+    maxMentions = 5
+  } = {}) {
+    this.repeatWindow = repeatWindowSeconds * 1000;
+    this.maxRepeats = maxRepeats;
+    this.capsMinLength = capsMinLength;
+    this.capsRatio = capsRatio;
+    this.maxMentions = maxMentions;
+    // userId -> [{ content, at }] within the repeat window
+    this.recent = new Map();
+  }
+
+  process({ content }, { userId, action }) {
+    if (!content) return {};
+
+    const letters = content.replace(/[^\p{L}]/gu, '');
+    if (this.capsRatio && letters.length >= this.capsMinLength) {
+      const capitals = letters.replace(/[^\p{Lu}]/gu, '').length;
+      if (capitals / letters.length > this.capsRatio) {
+        return { reject: 'Please don\'t write in all capitals' };
+      }
+    }
+
+    const mentions = content.match(/(?:^|\s)@\w+/g) || [];
+    if (this.maxMentions && mentions.length > this.maxMentions) {
+      return { reject: `A message can mention at most ${this.maxMentions} people` };
+    }
+
+    // Edits don't count as sending the message again
+    if (action === 'send' && this.maxRepeats) {
+      const now = Date.now();
+      const key = content.toLowerCase();
+      const recent = (this.recent.get(userId) || []).filter(entry => now - entry.at < this.repeatWindow);
+      if (recent.filter(entry => entry.content === key).length >= this.maxRepeats) {
+        this.recent.set(userId, recent);
+        return { reject: 'You are sending the same message too often' };
+      }
+      recent.push({ content: key, at: now });
+      this.recent.set(userId, recent.slice(-20));
+    }
+    return {};
+  }
+}
+
+module.exports = SpamStage;
@@ -0,0 +1,29 @@
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Masks or rejects blocklisted words. Matching ignores case and allows a few
+// common suffixes, so "word" also catches "words" and "wording".
+class WordStage {
+  constructor({ mode = 'mask', words = [] } = {}) {
+    if (!['mask', 'reject'].includes(mode)) {
+      throw new Error(`Unknown word filter mode: ${mode}`);
+    }
+    this.mode = mode;
+    const list = words.map(word => word.trim()).filter(Boolean);
+    this.pattern = list.length
+      ? new RegExp(`\\b(?:${list.map(escapeRegExp).join('|')})(?:s|es|ed|er|ers|ing|y)?\\b`, 'gi')
+      : null;
+  }
+
+  process({ content }) {
+    if (!this.pattern) return {};
+    this.pattern.lastIndex = 0;
+    if (!this.pattern.test(content)) return {};
+
+    if (this.mode === 'reject') {
+      return { reject: 'Your message contains language that is not allowed' };
+    }
+    return { content: content.replace(this.pattern, match => '*'.repeat(match.length)) };
+  }
+}
+
+module.exports = WordStage;
@@ -0,0 +1,82 @@
+const MemoryPresenceStore = require('./memoryStore');
+const MongoPresenceStore = require('./mongoStore');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config');
+
+// Presence stores track who is connected and implement:
+//   addSocket(userId, socketId, { username, displayName, avatarUrl, status })
+//     -> the user's current status
+//   removeSocket(userId, socketId) -> { id, status } when that was the
+//     user's last connection, otherwise null
+//   setStatus(userId, status) / updateProfile(userId, profile) -> whether
+//     the user is online
+//   onlineUserIds(userIds), getVisibleUsers(), count()
+//   heartbeat() - keep this instance's connections alive
+//   sweep() -> [{ id, status }] of users whose connections expired
+//   close() - forget this instance's connections
+// all returning promises. Select one with PRESENCE_STORE: memory (the
+// default) for a single instance, mongo to share presence between instances.
+const stores = {
+  memory: () => new MemoryPresenceStore(),
+  mongo: () => new MongoPresenceStore()
+};
+
+// How often an instance refreshes its connections; they expire after a
+// few missed heartbeats
+const HEARTBEAT_MS = 15 * 1000;
+
+let store;
+
+const getPresenceStore = () => {
+  if (!store) {
+    const name = getConfig().presenceStore;
+    if (!stores[name]) {
+      throw new Error(`Unknown presence store: ${name}`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+// Replace the presence store, e.g. in tests
+const setPresenceStore = (presenceStore) => {
+  store = presenceStore;
+};
+
+// Presence list sent to clients; invisible users appear offline
+const getVisibleUsers = () => getPresenceStore().getVisibleUsers();
+
+// Copy profile changes into a connected user's presence. Resolves with
+// whether the user is connected.
+const updatePresenceProfile = (userId, profile) => getPresenceStore().updateProfile(userId, profile);
+
+// Refresh this instance's connections and sweep up those of instances that
+// stopped, calling onOffline with { id, status } for every user who went
+// offline that way. Returns a function that stops the heartbeat.
+const startHeartbeat = (onOffline) => {
+  const timer = setInterval(async () => {
+    try {
+      const presenceStore = getPresenceStore();
+      await presenceStore.heartbeat();
+      const offline = await presenceStore.sweep();
+      for (const presence of offline) {
+        await onOffline(presence);
+      }
+    } catch (error) {
+      logger.error('Presence heartbeat error', { err: error });
+    }
+  }, HEARTBEAT_MS);
+  // Don't keep the process alive just for the heartbeat
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getPresenceStore,
+  setPresenceStore,
+  getVisibleUsers,
+  updatePresenceProfile,
+  startHeartbeat,
+  MemoryPresenceStore,
+  MongoPresenceStore
+};
@@ -0,0 +1,70 @@
+// Presence for a single backend instance. Each entry holds every connected
+// socket of a user, so a user stays online until their last tab or device
+// disconnects.
+class MemoryPresenceStore {
+  constructor() {
+    // userId -> { id, username, displayName, avatarUrl, status, sockets }
+    this.users = new Map();
+  }
+
+  async addSocket(userId, socketId, profile) {
+    let presence = this.users.get(userId);
+    if (!presence) {
+      presence = { id: userId, ...profile, sockets: new Set() };
+      this.users.set(userId, presence);
+    }
+    presence.sockets.add(socketId);
+    return presence.status;
+  }
+
+  async removeSocket(userId, socketId) {
+    const presence = this.users.get(userId);
+    if (!presence) return null;
+    presence.sockets.delete(socketId);
+    if (presence.sockets.size > 0) return null;
+    this.users.delete(userId);
+    return { id: userId, status: presence.status };
+  }
+
+  async setStatus(userId, status) {
+    const presence = this.users.get(userId);
+    if (!presence) return false;
+    presence.status = status;
+    return true;
+  }
+
+  async updateProfile(userId, { displayName, avatarUrl }) {
+    const presence = this.users.get(userId.toString());
+    if (!presence) return false;
+    presence.displayName = displayName;
+    presence.avatarUrl = avatarUrl;
+    return true;
+  }
+
+  async onlineUserIds(userIds) {
+    return userIds.map(id => id.toString()).filter(id => this.users.has(id));
+  }
+
+  async getVisibleUsers() {
+    return Array.from(this.users.values())
+      .filter(presence => presence.status !== 'invisible')
+      .map(({ id, username, displayName, avatarUrl, status }) => ({ id, username, displayName, avatarUrl, status }));
+  }
+
+  async count() {
+    return this.users.size;
+  }
+
+  // Nothing is shared, so nothing can go stale
+  async heartbeat() {}
+
+  async sweep() {
+    return [];
+  }
+
+  async close() {
+    this.users.clear();
+  }
+}
+
+module.exports = MemoryPresenceStore;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const PresenceConnection = require('../models/PresenceConnection');
+const User = require('../models/User');
+
+// Presence shared by every backend instance through MongoDB. Connections
+// are stored one per socket; status and profile are read from the users
+// themselves, where they are saved anyway.
+class MongoPresenceStore {
+  constructor({ instanceId = crypto.randomUUID(), ttlMs = 45 * 1000 } = {}) {
+    this.instanceId = instanceId;
+    this.ttlMs = ttlMs;
+  }
+
+  expiry() {
+    return new Date(Date.now() + this.ttlMs);
+  }
+
+  live() {
+    return { expiresAt: { $gt: new Date() } };
+  }
+
+  async addSocket(userId, socketId, profile) {
+    await PresenceConnection.updateOne(
+      { socketId },
+      { user: userId, instance: this.instanceId, expiresAt: this.expiry() },
+      { upsert: true }
+    );
+    return profile.status;
+  }
+
+  async removeSocket(userId, socketId) {
+    await PresenceConnection.deleteOne({ socketId });
+    if (await PresenceConnection.exists({ user: userId, ...this.live() })) return null;
+    const user = await User.findById(userId).select('status');
+    return { id: userId.toString(), status: (user && user.status) || 'online' };
+  }
+
+  // Status and profile changes are saved on the user, which is all we read
+  async setStatus(userId) {
+    return Boolean(await PresenceConnection.exists({ user: userId, ...this.live() }));
+  }
+
+  async updateProfile(userId) {
+    return Boolean(await PresenceConnection.exists({ user: userId, ...this.live() }));
+  }
+
+  async onlineUserIds(userIds) {
+    const online = await PresenceConnection.find({ user: { $in: userIds }, ...this.live() }).distinct('user');
+    return online.map(id => id.toString());
+  }
+
+  async getVisibleUsers() {
+    const online = await PresenceConnection.find(this.live()).distinct('user');
+    const users = await User.find({ _id: { $in: online }, status: { $ne: 'invisible' } })
+      .select(`status ${User.SUMMARY_FIELDS}`)
+      .sort({ username: 1 });
+    return users.map(user => ({
+      id: user._id.toString(),
+      username: user.username,
+      displayName: user.displayName || '',
+      avatarUrl: User.avatarUrl(user),
+      status: user.status || 'online'
+    }));
+  }
+
+  async count() {
+    return (await PresenceConnection.find(this.live()).distinct('user')).length;
+  }
+
+  // Keep this instance's connections alive
+  async heartbeat() {
+    await PresenceConnection.updateMany({ instance: this.instanceId }, { expiresAt: this.expiry() });
+  }
+
+  // Remove connections left behind by instances that stopped. Resolves with
+  // the users who went offline because of it. When several instances sweep
+  // at once, each connection is only removed, and reported, by one of them.
+  async sweep() {
+    const expired = await PresenceConnection.find({ expiresAt: { $lte: new Date() } });
+    const userIds = new Set();
+    for (const connection of expired) {
+      const { deletedCount } = await PresenceConnection.deleteOne({
+        _id: connection._id,
+        expiresAt: connection.expiresAt
+      });
+      if (deletedCount > 0) userIds.add(connection.user.toString());
+    }
+    if (userIds.size === 0) return [];
+
+    const stillOnline = new Set(await this.onlineUserIds([...userIds]));
+    const users = await User.find({ _id: { $in: [...userIds].filter(id => !stillOnline.has(id)) } })
+      .select('status');
+    return users.map(user => ({ id: user._id.toString(), status: user.status || 'online' }));
+  }
+
+  // Drop this instance's connections when it shuts down
+  async close() {
+    await PresenceConnection.deleteMany({ instance: this.instanceId });
+  }
+}
+
+module.exports = MongoPresenceStore;
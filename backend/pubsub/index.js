@@ -0,0 +1,31 @@
+const createRedisAdapter = require('./redis');
+const createMongoAdapter = require('./mongo');
+const { getConfig } = require('../config');
+
+// Socket.io adapters carry broadcasts between backend instances, so
+// io.emit, rooms and disconnectSockets reach sockets on every instance.
+// Factories resolve with { adapter, close } or null to keep Socket.io's
+// built-in in-memory adapter. Select one with PUBSUB_ADAPTER:
+//   memory - the default; a single instance only
+//   redis  - Redis pub/sub at REDIS_URL
+//   mongo  - change streams on the app's MongoDB (needs a replica set)
+const adapters = {
+  memory: async () => null,
+  redis: createRedisAdapter,
+  mongo: createMongoAdapter
+};
+
+// Install the configured adapter on the Socket.io server before it accepts
+// connections. Resolves with a function that closes the adapter's
+// connections.
+const attachPubSub = async (io, name = getConfig().pubsubAdapter) => {
+  if (!adapters[name]) {
+    throw new Error(`Unknown pub/sub adapter: ${name}`);
+  }
+  const pubsub = await adapters[name]();
+  if (!pubsub) return async () => {};
+  io.adapter(pubsub.adapter);
+  return pubsub.close;
+};
+
+module.exports = { attachPubSub };
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+
+const COLLECTION = 'socket.io-adapter-events';
+// Events only need to live until every instance has read them
+const EVENT_TTL_SECONDS = 3600;
+
+// Broadcasts between instances through a MongoDB collection, read with a
+// change stream. Change streams need a replica set (a single-node one will
+// do).
+const createMongoAdapter = async () => {
+  const connection = await mongoose.connection.asPromise();
+  const collection = connection.db.collection(COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS });
+
+  return {
+    adapter: createAdapter(collection, { addCreatedAtField: true }),
+    // The collection belongs to the app's MongoDB connection
+    close: async () => {}
+  };
+};
+
+module.exports = createMongoAdapter;
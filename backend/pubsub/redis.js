@@ -0,0 +1,23 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config');
+
+// Broadcasts between instances over Redis pub/sub
+const createRedisAdapter = async () => {
+  const pubClient = createClient({ url: getConfig().redisUrl });
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach(client => {
+    client.on('error', error => logger.error('Redis error', { err: error }));
+  });
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    adapter: createAdapter(pubClient, subClient),
+    close: async () => {
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+module.exports = createRedisAdapter;
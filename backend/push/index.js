@@ -0,0 +1,81 @@
+const PushSubscription = require('../models/PushSubscription');
+const WebPushSender = require('./webPushSender');
+const MemorySender = require('./memorySender');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config');
+
+// Push senders implement:
+//   publicKey - the VAPID public key browsers subscribe with
+//   send(subscription, payload) -> Promise
+// where subscription is { endpoint, keys: { p256dh, auth } }. A rejection
+// with statusCode 404 or 410 means the subscription is gone for good.
+// Select one with PUSH_SENDER; the webpush sender is the default and is only
+// enabled once VAPID keys are configured.
+const senders = {
+  webpush: () => {
+    const { vapidPublicKey, vapidPrivateKey, vapidSubject } = getConfig();
+    if (!vapidPublicKey || !vapidPrivateKey) return null;
+    return new WebPushSender({ publicKey: vapidPublicKey, privateKey: vapidPrivateKey, subject: vapidSubject });
+  },
+  memory: () => new MemorySender()
+};
+
+// undefined until first use; null when push is disabled
+let sender;
+
+const getSender = () => {
+  if (sender === undefined) {
+    const name = getConfig().pushSender;
+    if (!senders[name]) {
+      throw new Error(`Unknown push sender: ${name}`);
+    }
+    sender = senders[name]();
+    if (!sender) {
+      logger.info('Push notifications are off; set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY to enable them');
+    }
+  }
+  return sender;
+};
+
+// Replace the push sender, e.g. with a MemorySender in tests. Pass null to
+// turn push off.
+const setSender = (adapter) => {
+  sender = adapter;
+};
+
+// The public key browsers subscribe with, or null when push is off
+const getPublicKey = () => getSender()?.publicKey || null;
+
+// Send a payload to every device of the given users. Subscriptions the push
+// service reports as gone, or whose session has ended, are removed. Resolves
+// with the number of notifications sent.
+const sendPush = async (userIds, payload) => {
+  const pushSender = getSender();
+  if (!pushSender || userIds.length === 0) return 0;
+
+  const subscriptions = await PushSubscription.find({ user: { $in: userIds } })
+    .populate('session', 'revokedAt expiresAt');
+
+  const stale = subscriptions.filter(subscription => !subscription.session || !subscription.session.isActive());
+  const live = subscriptions.filter(subscription => !stale.includes(subscription));
+
+  const results = await Promise.allSettled(
+    live.map(subscription => pushSender.send(subscription.toWebPush(), payload))
+  );
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') return;
+    const { statusCode } = result.reason;
+    if (statusCode === 404 || statusCode === 410) {
+      stale.push(live[index]);
+    } else {
+      logger.error('Push notification error', { err: result.reason, statusCode });
+    }
+  });
+
+  if (stale.length > 0) {
+    await PushSubscription.deleteMany({ _id: { $in: stale.map(subscription => subscription._id) } });
+  }
+  return results.filter(result => result.status === 'fulfilled').length;
+};
+
+module.exports = { sendPush, getPublicKey, setSender, MemorySender };
@@ -0,0 +1,24 @@
+// Keeps notifications in memory instead of sending them, for tests and local
+// development. Endpoints added to `expired` fail like unsubscribed browsers.
+class MemorySender {
+  constructor({ publicKey = 'memory-public-key' } = {}) {
+    this.publicKey = publicKey;
+    this.sent = [];
+    this.expired = new Set();
+  }
+
+  async send(subscription, payload) {
+    if (this.expired.has(subscription.endpoint)) {
+      const error = new Error('Subscription has expired');
+      error.statusCode = 410;
+      throw error;
+    }
+    this.sent.push({ subscription, payload });
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = MemorySender;
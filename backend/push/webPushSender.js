@@ -0,0 +1,22 @@
+const webpush = require('web-push');
+
+// Sends notifications through the browsers' push services, signed with the
+// server's VAPID keys
+class WebPushSender {
+  constructor({ publicKey, privateKey, subject, ttlSeconds = 24 * 60 * 60 }) {
+    this.publicKey = publicKey;
+    this.vapidDetails = { subject, publicKey, privateKey };
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  // Rejects with the push service's statusCode, e.g. 410 once the browser
+  // has unsubscribed
+  async send(subscription, payload) {
+    await webpush.sendNotification(subscription, JSON.stringify(payload), {
+      vapidDetails: this.vapidDetails,
+      TTL: this.ttlSeconds
+    });
+  }
+}
+
+module.exports = WebPushSender;
@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { imageSize } = require('image-size');
+const Attachment = require('../models/Attachment');
+const Message = require('../models/Message');
+const { protect } = require('../middleware/auth');
+const { uploadSingle, IMAGE_TYPES } = require('../middleware/upload');
+const { canReadMessage } = require('../utils/access');
+const { getStorage } = require('../storage');
+const { getConfig } = require('../config');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 255;
+
+const ALLOWED_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Built on first use, once the config is known
+let upload = null;
+const handleUpload = (req, res, next) => {
+  if (!upload) {
+    upload = uploadSingle('file', { maxSize: getConfig().maxUploadSize, allowedTypes: ALLOWED_TYPES });
+  }
+  upload(req, res, next);
+};
+
+// Upload a file; send its id with sendMessage's attachmentIds to attach it
+router.post('/', protect, handleUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please provide a file' });
+    }
+    // Check everything the model checks before the file is stored
+    const name = req.file.originalname.trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ message: `File name must be between 1 and ${MAX_NAME_LENGTH} characters` });
+    }
+    if (req.file.size === 0) {
+      return res.status(400).json({ message: 'File is empty' });
+    }
+
+    let dimensions = null;
+    if (IMAGE_TYPES.includes(req.file.mimetype)) {
+      try {
+        dimensions = imageSize(req.file.buffer);
+      } catch (error) {
+        return res.status(400).json({ message: 'Invalid image file' });
+      }
+    }
+
+    const storageKey = await getStorage().save(req.file.buffer);
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        owner: req.user._id,
+        name,
+        size: req.file.size,
+        type: req.file.mimetype,
+        storageKey,
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null
+      });
+    } catch (error) {
+      // Don't leave a file behind that no attachment points to
+      getStorage().remove(storageKey).catch(removeError => {
+        req.log.error('Remove attachment file error', { err: removeError });
+      });
+      throw error;
+    }
+
+    res.status(201).json(attachment.toMetadata());
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0].message;
+      return res.status(400).json({ message });
+    }
+    req.log.error('Upload attachment error', { err: error });
+    res.status(500).json({ message: 'Error uploading file' });
+  }
+});
+
+// Download a file: its uploader can always read it, everyone else only
+// once it is attached to a message they can read
+router.get('/:id/download', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid attachment id' });
+    }
+
+    const attachment = await Attachment.findById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    if (attachment.owner.toString() !== req.user._id.toString()) {
+      const message = attachment.message ? await Message.findById(attachment.message) : null;
+      if (!message || message.deletedAt || !(await canReadMessage(message, req.user._id))) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+    }
+
+    const disposition = IMAGE_TYPES.includes(attachment.type) ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.type,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      req.log.error('Read attachment error', { err: error });
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Attachment not found' });
+      } else {
+        res.destroy();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    req.log.error('Download attachment error', { err: error });
+    res.status(500).json({ message: 'Error downloading file' });
+  }
+});
+
+module.exports = router;
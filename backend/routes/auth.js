@@ -1,17 +1,80 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Channel = require('../models/Channel');
+const ReadState = require('../models/ReadState');
+const { protect, banMessage } = require('../middleware/auth');
+const { uploadSingle, IMAGE_TYPES } = require('../middleware/upload');
+const { getStorage } = require('../storage');
+const { updatePresenceProfile, getVisibleUsers } = require('../presence');
+const {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSessions
+} = require('../utils/sessions');
+const { sendMail } = require('../mail');
+const { verificationEmail, passwordResetEmail } = require('../mail/templates');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id, username) => {
-  return jwt.sign({ id, username }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
+const MAX_AVATAR_SIZE = 2 * 1024 * 1024;
+
+// The current user's own profile
+const formatProfile = (user) => ({
+  ...User.toSummary(user),
+  email: user.email,
+  emailVerified: user.emailVerified,
+  bio: user.bio || '',
+  role: user.role,
+  mutedUntil: user.isMuted() ? user.mutedUntil : null,
+  blockedUsers: (user.blockedUsers || []).map(id => id.toString()),
+  mutedUsers: (user.mutedUsers || []).map(id => id.toString())
+});
+
+// Tell connected clients about a changed name or avatar
+const broadcastProfile = async (req, user) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  const summary = User.toSummary(user);
+  io.emit('userUpdated', { ...summary, bio: user.bio || '' });
+  if (await updatePresenceProfile(user._id, summary)) {
+    io.emit('activeUsers', await getVisibleUsers());
+  }
+};
+
+const removeAvatarFile = (avatar) => {
+  if (!avatar || !avatar.storageKey) return;
+  getStorage().remove(avatar.storageKey).catch(error => {
+    logger.error('Remove avatar file error', { err: error });
   });
 };
 
+// Email a new verification link. Failing to send is logged, not fatal, since
+// the user can ask for another link.
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailToken('verification');
+  await user.save();
+  try {
+    await sendMail(verificationEmail(user, token));
+  } catch (error) {
+    logger.error('Send verification email error', { err: error });
+  }
+};
+
+// Format a session for the sessions list
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session._id.toString() === String(currentSessionId)
+});
+
 // Register User
 router.post('/register', async (req, res) => {
   try {
@@ -30,17 +93,17 @@ router.post('/register', async (req, res) => {
 
     // Create user
     const user = await User.create({ username, email, password });
+    await sendVerificationEmail(user);
 
-    const token = generateToken(user._id, user.username);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      token
+      ...formatProfile(user),
+      token,
+      refreshToken
     });
   } catch (error) {
-    console.error('Register error:', error);
+    req.log.error('Register error', { err: error });
     res.status(500).json({ message: 'Server error during registration' });
   }
 });
@@ -59,17 +122,19 @@ router.post('/login', async (req, res) => {
     if (!user || !(await user.comparePassword(password))) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    if (user.isBanned()) {
+      return res.status(403).json({ message: banMessage(user), bannedUntil: user.bannedUntil });
+    }
 
-    const token = generateToken(user._id, user.username);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      token
+      ...formatProfile(user),
+      token,
+      refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
+    req.log.error('Login error', { err: error });
     res.status(500).json({ message: 'Server error during login' });
   }
 });
@@ -77,15 +142,296 @@ router.post('/login', async (req, res) => {
 // Get current user profile
 router.get('/profile', protect, async (req, res) => {
   try {
-    res.json({
-      _id: req.user._id,
-      username: req.user.username,
-      email: req.user.email
-    });
+    res.json(formatProfile(req.user));
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Update display name, bio and avatar. Sent as multipart/form-data so the
+// avatar can be uploaded in the same request; removeAvatar=true clears it.
+router.put(
+  '/profile',
+  protect,
+  uploadSingle('avatar', { maxSize: MAX_AVATAR_SIZE, allowedTypes: IMAGE_TYPES }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      const { displayName, bio, removeAvatar } = req.body;
+      const previousAvatar = user.avatar;
+
+      if (displayName !== undefined) user.displayName = String(displayName);
+      if (bio !== undefined) user.bio = String(bio);
+
+      if (req.file) {
+        const storageKey = await getStorage().save(req.file.buffer);
+        user.avatar = { storageKey, type: req.file.mimetype, updatedAt: new Date() };
+      } else if (removeAvatar === 'true' || removeAvatar === true) {
+        user.avatar = null;
+      }
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (req.file) removeAvatarFile(user.avatar);
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({ message: Object.values(error.errors)[0].message });
+        }
+        throw error;
+      }
+
+      if (previousAvatar && (req.file || !user.avatar)) {
+        removeAvatarFile(previousAvatar);
+      }
+
+      await broadcastProfile(req, user);
+      res.json(formatProfile(user));
+    } catch (error) {
+      req.log.error('Update profile error', { err: error });
+      res.status(500).json({ message: 'Server error while updating profile' });
+    }
+  }
+);
+
+// Change the password; other devices are logged out
+router.put('/password', protect, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!currentPassword || !(await user.comparePassword(String(currentPassword)))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeSessions(req.app.get('io'), { user: user._id, _id: { $ne: req.sessionId } });
+
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    req.log.error('Change password error', { err: error });
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// Delete the account. Messages stay, attributed to an anonymised user, so
+// conversations keep making sense for everyone else.
+router.delete('/account', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!req.body.password || !(await user.comparePassword(String(req.body.password)))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const previousAvatar = user.avatar;
+    const suffix = user._id.toString().slice(-12);
+    user.username = `deleted_${suffix}`;
+    user.email = `deleted_${suffix}@deleted.invalid`;
+    user.password = crypto.randomBytes(32).toString('hex');
+    user.displayName = 'Deleted user';
+    user.bio = '';
+    user.avatar = null;
+    user.emailVerified = false;
+    user.clearEmailToken('verification');
+    user.clearEmailToken('passwordReset');
+    user.deletedAt = new Date();
+    await user.save();
+
+    removeAvatarFile(previousAvatar);
+    await Channel.updateMany(
+      { members: user._id },
+      { $pull: { members: user._id, owners: user._id } }
+    );
+    await ReadState.deleteMany({ user: user._id });
+    await broadcastProfile(req, user);
+    await revokeSessions(req.app.get('io'), { user: user._id });
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    req.log.error('Delete account error', { err: error });
+    res.status(500).json({ message: 'Server error while deleting account' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = req.body.token && await User.findByEmailToken('verification', req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.clearEmailToken('verification');
+    await user.save();
+
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    req.log.error('Verify email error', { err: error });
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified', emailVerified: true });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    req.log.error('Resend verification error', { err: error });
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address belongs to an account, so it can't be used to look up users.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide your email' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = user.createEmailToken('passwordReset');
+      await user.save();
+      try {
+        await sendMail(passwordResetEmail(user, token));
+      } catch (error) {
+        req.log.error('Send password reset email error', { err: error });
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    req.log.error('Forgot password error', { err: error });
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// Set a new password with the token from the reset email. Every session is
+// logged out, since the old password may have been compromised.
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = token && await User.findByEmailToken('passwordReset', token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.clearEmailToken('passwordReset');
+    // Receiving the email proves the address works
+    user.emailVerified = true;
+    user.clearEmailToken('verification');
+    await user.save();
+
+    await revokeSessions(req.app.get('io'), { user: user._id });
+
+    res.json({ message: 'Password has been reset. Please log in.' });
+  } catch (error) {
+    req.log.error('Reset password error', { err: error });
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateSession(req.app.get('io'), req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    req.log.error('Refresh token error', { err: error });
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Log out: revoke the session the refresh token belongs to. Works with an
+// expired access token, so it doesn't use protect.
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+    if (session) {
+      await revokeSessions(req.app.get('io'), { _id: session._id });
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    req.log.error('Logout error', { err: error });
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// List the current user's signed-in devices
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => formatSession(session, req.sessionId)));
+  } catch (error) {
+    req.log.error('Fetch sessions error', { err: error });
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+// Log out every other device
+router.post('/sessions/revoke-others', protect, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get('io'), {
+      user: req.user._id,
+      _id: { $ne: req.sessionId }
+    });
+
+    res.json({ revoked });
+  } catch (error) {
+    req.log.error('Revoke sessions error', { err: error });
+    res.status(500).json({ message: 'Error revoking sessions' });
+  }
+});
+
+// Log out one device
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid session id' });
+    }
+
+    const revoked = await revokeSessions(req.app.get('io'), {
+      _id: req.params.id,
+      user: req.user._id
+    });
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ revoked });
+  } catch (error) {
+    req.log.error('Revoke session error', { err: error });
+    res.status(500).json({ message: 'Error revoking session' });
+  }
+});
+
 module.exports = router;
 
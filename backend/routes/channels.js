@@ -0,0 +1,219 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Format a channel for the requesting user
+const formatChannel = (channel, userId) => ({
+  _id: channel._id,
+  name: channel.name,
+  topic: channel.topic,
+  isPrivate: channel.isPrivate,
+  isArchived: channel.isArchived,
+  memberCount: channel.members.length,
+  isMember: channel.isMember(userId),
+  isOwner: channel.isOwner(userId),
+  createdAt: channel.createdAt
+});
+
+// Load the channel named in :id or respond with an error
+const findChannel = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid channel id' });
+    return null;
+  }
+
+  const channel = await Channel.findById(req.params.id);
+  if (!channel || (channel.isPrivate && !channel.isMember(req.user._id))) {
+    res.status(404).json({ message: 'Channel not found' });
+    return null;
+  }
+
+  return channel;
+};
+
+// List public channels and private channels the user belongs to
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = {
+      $or: [{ isPrivate: false }, { members: req.user._id }]
+    };
+    if (req.query.includeArchived !== 'true') {
+      filter.isArchived = false;
+    }
+
+    const channels = await Channel.find(filter).sort({ name: 1 });
+    res.json(channels.map(channel => formatChannel(channel, req.user._id)));
+  } catch (error) {
+    req.log.error('Fetch channels error', { err: error });
+    res.status(500).json({ message: 'Error fetching channels' });
+  }
+});
+
+// Create a channel; the creator becomes its first member and owner
+router.post('/', protect, async (req, res) => {
+  try {
+    const { name, topic, isPrivate } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Please provide a channel name' });
+    }
+
+    const channelExists = await Channel.findOne({ name: name.trim().toLowerCase() });
+    if (channelExists) {
+      return res.status(400).json({ message: 'Channel already exists' });
+    }
+
+    const channel = await Channel.create({
+      name,
+      topic,
+      isPrivate: Boolean(isPrivate),
+      members: [req.user._id],
+      owners: [req.user._id],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(formatChannel(channel, req.user._id));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0].message;
+      return res.status(400).json({ message });
+    }
+    req.log.error('Create channel error', { err: error });
+    res.status(500).json({ message: 'Error creating channel' });
+  }
+});
+
+// Join a public channel
+router.post('/:id/join', protect, async (req, res) => {
+  try {
+    const channel = await findChannel(req, res);
+    if (!channel) return;
+
+    if (channel.isArchived) {
+      return res.status(400).json({ message: 'Channel is archived' });
+    }
+    if (channel.isPrivate) {
+      return res.status(403).json({ message: 'Private channels are invite-only' });
+    }
+
+    if (!channel.isMember(req.user._id)) {
+      channel.members.push(req.user._id);
+      await channel.save();
+    }
+
+    res.json(formatChannel(channel, req.user._id));
+  } catch (error) {
+    req.log.error('Join channel error', { err: error });
+    res.status(500).json({ message: 'Error joining channel' });
+  }
+});
+
+// Add a user to a channel (owners only). This is how private channels get
+// members; the new member's open sockets join the room and are told.
+router.post('/:id/members', protect, async (req, res) => {
+  try {
+    const channel = await findChannel(req, res);
+    if (!channel) return;
+
+    if (channel.isArchived) {
+      return res.status(400).json({ message: 'Channel is archived' });
+    }
+    if (!channel.isOwner(req.user._id)) {
+      return res.status(403).json({ message: 'Only channel owners can add members' });
+    }
+
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    if (!username) {
+      return res.status(400).json({ message: 'Please provide a username' });
+    }
+    const member = await User.findOne({ username, deletedAt: null }).select('_id blockedUsers');
+    if (!member) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (member.hasBlocked(req.user._id)) {
+      return res.status(403).json({ message: 'This user cannot be added' });
+    }
+
+    if (!channel.isMember(member._id)) {
+      channel.members.push(member._id);
+      await channel.save();
+
+      const io = req.app.get('io');
+      if (io) {
+        const memberId = member._id.toString();
+        io.in(memberId).socketsJoin(Channel.roomName(channel._id));
+        io.to(memberId).emit('addedToChannel', formatChannel(channel, member._id));
+      }
+    }
+
+    res.json(formatChannel(channel, req.user._id));
+  } catch (error) {
+    req.log.error('Add channel member error', { err: error });
+    res.status(500).json({ message: 'Error adding member' });
+  }
+});
+
+// Leave a channel
+router.post('/:id/leave', protect, async (req, res) => {
+  try {
+    const channel = await findChannel(req, res);
+    if (!channel) return;
+
+    if (!channel.isMember(req.user._id)) {
+      return res.status(400).json({ message: 'You are not a member of this channel' });
+    }
+    if (channel.isOwner(req.user._id) && channel.owners.length === 1 && channel.members.length > 1) {
+      return res.status(400).json({ message: 'The last owner cannot leave while other members remain' });
+    }
+
+    const userId = req.user._id.toString();
+    channel.members = channel.members.filter(member => member.toString() !== userId);
+    channel.owners = channel.owners.filter(owner => owner.toString() !== userId);
+    await channel.save();
+
+    // Stop delivering the channel to the user's open sockets, even those that
+    // never send leaveChannel
+    const io = req.app.get('io');
+    if (io) {
+      io.in(userId).socketsLeave(Channel.roomName(channel._id));
+    }
+
+    res.json(formatChannel(channel, req.user._id));
+  } catch (error) {
+    req.log.error('Leave channel error', { err: error });
+    res.status(500).json({ message: 'Error leaving channel' });
+  }
+});
+
+// Archive a channel (owners only); archived channels are read-only
+router.post('/:id/archive', protect, async (req, res) => {
+  try {
+    const channel = await findChannel(req, res);
+    if (!channel) return;
+
+    if (!channel.isOwner(req.user._id)) {
+      return res.status(403).json({ message: 'Only channel owners can archive a channel' });
+    }
+
+    if (!channel.isArchived) {
+      channel.isArchived = true;
+      await channel.save();
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(Channel.roomName(channel._id)).emit('channelArchived', { channelId: channel._id });
+      }
+    }
+
+    res.json(formatChannel(channel, req.user._id));
+  } catch (error) {
+    req.log.error('Archive channel error', { err: error });
+    res.status(500).json({ message: 'Error archiving channel' });
+  }
+});
+
+module.exports = router;
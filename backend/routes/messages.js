@@ -1,36 +1,505 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const Attachment = require('../models/Attachment');
+const ModerationLog = require('../models/ModerationLog');
 const { protect } = require('../middleware/auth');
+const { emitToConversation } = require('../utils/realtime');
+const { extractTerms, buildSnippet } = require('../utils/snippet');
+const { canReadMessage, readableMessageFilter } = require('../utils/access');
+const { getIgnoringRooms, excludeBlocked } = require('../utils/blocks');
+const { processMessage } = require('../pipeline');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { getStorage } = require('../storage');
+const { formatMessage } = require('../utils/serializers');
 
 const router = express.Router();
 
-// Get recent messages (last 50)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+// Cursors are opaque to clients: a message timestamp plus its _id as a
+// tiebreak for messages sent in the same millisecond
+const encodeCursor = (msg) =>
+  Buffer.from(`${new Date(msg.timestamp).getTime()}_${msg._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const timestamp = new Date(Number(time));
+  if (!time || Number.isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { timestamp, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Restrict a filter to messages on one side of a cursor
+const withCursor = (filter, cursor, op) => {
+  const strictOp = op === '$lte' ? '$lt' : op === '$gte' ? '$gt' : op;
+  return {
+    ...filter,
+    $and: [{
+      $or: [
+        { timestamp: { [strictOp]: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { [op]: cursor._id } }
+      ]
+    }]
+  };
+};
+
+// Query up to `count` messages in timestamp order (1 = oldest first)
+const findMessages = (query, direction, count, populateRecipient) => {
+  let findQuery = Message.find(query)
+    .sort({ timestamp: direction, _id: direction })
+    .limit(count)
+    .populate('sender', User.SUMMARY_FIELDS)
+    .populate('lastReplyBy', User.SUMMARY_FIELDS);
+  if (populateRecipient) {
+    findQuery = findQuery.populate('recipient', User.SUMMARY_FIELDS);
+  }
+  return findQuery.lean();
+};
+
+// Fetch one page of a conversation's history. Without a cursor the newest
+// page is returned; `before` pages towards older messages, `after` towards
+// newer ones and `around` returns the page centred on a message (used to
+// jump to a search result). Messages are always returned oldest first.
+// Messages of users the requester blocked are left out.
+const fetchHistoryPage = async (req, res, conversationFilter, populateRecipient = false, extra = {}) => {
+  const { before, after, around } = req.query;
+  const filter = excludeBlocked(req.user, conversationFilter);
+
+  if ([before, after, around].filter(Boolean).length > 1) {
+    return res.status(400).json({ message: 'Use only one of before, after or around' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const rawCursor = before || after || around;
+  const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+  if (rawCursor && !cursor) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  let messages;
+  let hasMore;
+  let hasNewer = false;
+
+  if (around) {
+    // Fetch one extra message on each side to know whether more pages exist
+    const half = Math.max(Math.floor(limit / 2), 1);
+    const [older, newer] = await Promise.all([
+      findMessages(withCursor(filter, cursor, '$lte'), -1, half + 1, populateRecipient),
+      findMessages(withCursor(filter, cursor, '$gt'), 1, half + 1, populateRecipient)
+    ]);
+    hasMore = older.length > half;
+    hasNewer = newer.length > half;
+    messages = older.slice(0, half).reverse().concat(newer.slice(0, half));
+  } else {
+    const direction = after ? 1 : -1;
+    const query = cursor ? withCursor(filter, cursor, after ? '$gt' : '$lt') : filter;
+    // Fetch one extra message to know whether another page exists
+    const results = await findMessages(query, direction, limit + 1, populateRecipient);
+    hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    messages = after ? page : page.reverse();
+  }
+
+  res.json({
+    ...extra,
+    messages: messages.map(formatMessage),
+    hasMore,
+    hasNewer,
+    cursors: {
+      before: messages.length ? encodeCursor(messages[0]) : null,
+      after: messages.length ? encodeCursor(messages[messages.length - 1]) : null
+    }
+  });
+};
+
+// Get global chat history (newest 50 by default)
 router.get('/', protect, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const messages = await Message.find()
-      .sort({ timestamp: -1 })
-      .limit(limit)
-      .populate('sender', 'username _id')
+    // Direct and channel messages are served through their own routes and
+    // thread replies through /:id/thread
+    await fetchHistoryPage(req, res, { recipient: null, channel: null, parentId: null });
+  } catch (error) {
+    req.log.error('Fetch messages error', { err: error });
+    res.status(500).json({ message: 'Error fetching messages' });
+  }
+});
+
+// Parse an optional date query parameter; returns undefined when absent
+// and null when invalid
+const parseDateParam = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Cursors to open each message in context: replies are shown within their
+// thread's parent message, so they get the parent's cursor
+const contextCursors = async (messages) => {
+  const parentIds = messages.filter(msg => msg.parentId).map(msg => msg.parentId);
+  const parents = parentIds.length
+    ? await Message.find({ _id: { $in: parentIds } }).select('timestamp').lean()
+    : [];
+  const parentsById = new Map(parents.map(parent => [parent._id.toString(), parent]));
+  return messages.map(msg => encodeCursor((msg.parentId && parentsById.get(msg.parentId.toString())) || msg));
+};
+
+// Search messages the current user can read
+// Filters: sender (user id or username), from/to dates, channel (channel id)
+// or with (user id of a direct conversation)
+router.get('/search', protect, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ message: 'Please provide a search query' });
+    }
+
+    const { sender, channel, with: withUser } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE);
+
+    if (channel && withUser) {
+      return res.status(400).json({ message: 'Use either channel or with, not both' });
+    }
+    if ((channel && !mongoose.Types.ObjectId.isValid(channel)) ||
+        (withUser && !mongoose.Types.ObjectId.isValid(withUser))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ message: 'Invalid date filter' });
+    }
+
+    const filter = { $text: { $search: q }, deletedAt: null };
+
+    if (sender) {
+      const senderUser = mongoose.Types.ObjectId.isValid(sender)
+        ? await User.findById(sender).select('_id')
+        : await User.findOne({ username: sender }).select('_id');
+      if (!senderUser) {
+        return res.json({ results: [], page, hasMore: false });
+      }
+      filter.sender = senderUser._id;
+    }
+
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    if (channel) {
+      const channelDoc = await Channel.findById(channel);
+      if (!channelDoc || (channelDoc.isPrivate && !channelDoc.isMember(req.user._id))) {
+        return res.status(404).json({ message: 'Channel not found' });
+      }
+      filter.channel = channelDoc._id;
+    } else if (withUser) {
+      filter.$or = [
+        { sender: req.user._id, recipient: withUser },
+        { sender: withUser, recipient: req.user._id }
+      ];
+    } else {
+      // Only the global chat, the user's own direct messages and channels
+      // they can read
+      Object.assign(filter, await readableMessageFilter(req.user._id));
+    }
+
+    // Fetch one extra result to know whether another page exists
+    const results = await Message.find(excludeBlocked(req.user, filter))
+      .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate('sender', User.SUMMARY_FIELDS)
+      .populate('recipient', User.SUMMARY_FIELDS)
+      .populate('lastReplyBy', User.SUMMARY_FIELDS)
       .lean();
 
-    // Format messages consistently with Socket.io message format
-    const formattedMessages = messages.reverse().map(msg => ({
-      _id: msg._id,
-      sender: {
-        _id: msg.sender._id,
-        username: msg.sender.username
-      },
-      content: msg.content,
-      timestamp: msg.timestamp
-    }));
+    const pageResults = results.slice(0, limit);
+    const cursors = await contextCursors(pageResults);
 
-    res.json(formattedMessages);
+    const terms = extractTerms(q);
+    res.json({
+      results: pageResults.map((msg, index) => ({
+        message: formatMessage(msg),
+        ...buildSnippet(msg.content, terms),
+        // Pass as ?around= to a history route to load the message (or its
+        // thread's parent) in context
+        cursor: cursors[index]
+      })),
+      page,
+      hasMore: results.length > limit
+    });
   } catch (error) {
-    console.error('Fetch messages error:', error);
-    res.status(500).json({ message: 'Error fetching messages' });
+    req.log.error('Search messages error', { err: error });
+    res.status(500).json({ message: 'Error searching messages' });
   }
 });
 
-module.exports = router;
+// Messages that mention the current user, newest first
+router.get('/mentions', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE);
+
+    // Users can lose access to a mention, e.g. by leaving a private channel
+    const filter = {
+      mentions: req.user._id,
+      deletedAt: null,
+      ...(await readableMessageFilter(req.user._id))
+    };
+
+    const results = await Message.find(excludeBlocked(req.user, filter))
+      .sort({ timestamp: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate('sender', User.SUMMARY_FIELDS)
+      .populate('recipient', User.SUMMARY_FIELDS)
+      .populate('lastReplyBy', User.SUMMARY_FIELDS)
+      .lean();
+
+    const pageResults = results.slice(0, limit);
+    const cursors = await contextCursors(pageResults);
+
+    res.json({
+      results: pageResults.map((msg, index) => ({
+        message: formatMessage(msg),
+        cursor: cursors[index]
+      })),
+      page,
+      hasMore: results.length > limit
+    });
+  } catch (error) {
+    req.log.error('Fetch mentions error', { err: error });
+    res.status(500).json({ message: 'Error fetching mentions' });
+  }
+});
 
+// Get a thread: its parent message and a page of replies (oldest first,
+// same cursors as the history routes)
+router.get('/:id/thread', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    const parent = await Message.findById(req.params.id)
+      .populate('sender', User.SUMMARY_FIELDS)
+      .populate('recipient', User.SUMMARY_FIELDS)
+      .populate('lastReplyBy', User.SUMMARY_FIELDS)
+      .lean();
+    if (!parent || parent.parentId || !(await canReadMessage(parent, req.user._id))) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    await fetchHistoryPage(req, res, { parentId: parent._id }, true, {
+      parent: formatMessage(parent)
+    });
+  } catch (error) {
+    req.log.error('Fetch thread error', { err: error });
+    res.status(500).json({ message: 'Error fetching thread' });
+  }
+});
+
+// Get direct message history between the current user and another user
+router.get('/direct/:userId', protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const otherUser = await User.findById(userId).select('_id');
+    if (!otherUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await fetchHistoryPage(req, res, {
+      parentId: null,
+      $or: [
+        { sender: req.user._id, recipient: otherUser._id },
+        { sender: otherUser._id, recipient: req.user._id }
+      ]
+    }, true);
+  } catch (error) {
+    req.log.error('Fetch direct messages error', { err: error });
+    res.status(500).json({ message: 'Error fetching direct messages' });
+  }
+});
+
+// Get message history for a channel the current user can read
+router.get('/channel/:channelId', protect, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(channelId)) {
+      return res.status(400).json({ message: 'Invalid channel id' });
+    }
+
+    const channel = await Channel.findById(channelId);
+    if (!channel || (channel.isPrivate && !channel.isMember(req.user._id))) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    await fetchHistoryPage(req, res, { channel: channel._id, parentId: null });
+  } catch (error) {
+    req.log.error('Fetch channel messages error', { err: error });
+    res.status(500).json({ message: 'Error fetching channel messages' });
+  }
+});
+
+// Load a message the current user sent, or respond with an error. With
+// allowModerators, moderators may also load messages of users they outrank.
+const findOwnMessage = async (req, res, { allowModerators = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid message id' });
+    return null;
+  }
+
+  const message = await Message.findById(req.params.id);
+  if (!message || message.deletedAt) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+  if (message.sender.toString() !== req.user._id.toString()) {
+    const sender = allowModerators && User.hasRole(req.user, 'moderator')
+      ? await User.findById(message.sender).select('role')
+      : null;
+    if (!sender || !User.canModerate(req.user, sender)) {
+      res.status(403).json({ message: 'You can only change your own messages' });
+      return null;
+    }
+    return message;
+  }
+  if (message.channel) {
+    const channel = await Channel.findById(message.channel).select('isArchived');
+    if (channel && channel.isArchived) {
+      res.status(400).json({ message: 'Channel is archived' });
+      return null;
+    }
+  }
+
+  return message;
+};
+
+// Populate, format and push a changed message to everyone who can see it,
+// except users who blocked its sender and so never saw it
+const broadcastChange = async (req, message, event) => {
+  await message.populate([
+    { path: 'sender', select: User.SUMMARY_FIELDS },
+    { path: 'recipient', select: User.SUMMARY_FIELDS },
+    { path: 'lastReplyBy', select: User.SUMMARY_FIELDS }
+  ]);
+  const messageData = formatMessage(message);
+
+  const io = req.app.get('io');
+  if (io) {
+    const blockerRooms = await getIgnoringRooms(message.sender._id);
+    emitToConversation(io, messageData, event, messageData, { except: blockerRooms });
+  }
+  return messageData;
+};
+
+// Edit a message (sender only)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    if (!content) {
+      return res.status(400).json({ message: 'Message content cannot be empty' });
+    }
+    if (req.user.isMuted()) {
+      return res.status(403).json({ message: 'You are muted', mutedUntil: req.user.mutedUntil });
+    }
+
+    const message = await findOwnMessage(req, res);
+    if (!message) return;
+
+    const processed = await processMessage(content, { userId: req.user._id.toString(), action: 'edit' });
+    if (processed.rejected) {
+      return res.status(400).json({ message: processed.reason, code: 'messageRejected', stage: processed.stage });
+    }
+    if (!processed.content && message.attachments.length === 0) {
+      return res.status(400).json({ message: 'Message content cannot be empty' });
+    }
+
+    let newMentions = [];
+    if (processed.content !== message.content) {
+      const editedAt = new Date();
+      message.editHistory.push({ content: message.content, editedAt });
+      message.content = processed.content;
+      message.editedAt = editedAt;
+      // Only people mentioned for the first time are notified
+      const previousMentions = new Set(message.mentions.map(id => id.toString()));
+      message.mentions = await resolveMentions(message, req.user._id);
+      newMentions = message.mentions.filter(id => !previousMentions.has(id.toString()));
+      await message.save();
+    }
+
+    const messageData = await broadcastChange(req, message, 'messageEdited');
+    notifyMentions(req.app.get('io'), newMentions, messageData);
+    res.json(messageData);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0].message;
+      return res.status(400).json({ message });
+    }
+    req.log.error('Edit message error', { err: error });
+    res.status(500).json({ message: 'Error editing message' });
+  }
+});
+
+// Delete a message, leaving a tombstone in the history. Moderators can
+// delete other users' messages; those deletions are written to the audit log.
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const message = await findOwnMessage(req, res, { allowModerators: true });
+    if (!message) return;
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      await ModerationLog.create({
+        actor: req.user._id,
+        action: 'deleteMessage',
+        targetUser: message.sender,
+        targetMessage: message._id,
+        reason: typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : ''
+      });
+    }
+
+    const attachmentIds = message.attachments.map(attachment => attachment._id);
+
+    message.content = '';
+    message.editHistory = [];
+    message.reactions = [];
+    message.attachments = [];
+    message.mentions = [];
+    message.deletedAt = new Date();
+    await message.save();
+
+    // Deleted messages don't keep their files
+    if (attachmentIds.length) {
+      const attachments = await Attachment.find({ _id: { $in: attachmentIds } });
+      await Promise.all(attachments.map(attachment =>
+        getStorage().remove(attachment.storageKey).catch(error => {
+          req.log.error('Remove attachment file error', { err: error });
+        })
+      ));
+      await Attachment.deleteMany({ _id: { $in: attachmentIds } });
+    }
+
+    res.json(await broadcastChange(req, message, 'messageDeleted'));
+  } catch (error) {
+    req.log.error('Delete message error', { err: error });
+    res.status(500).json({ message: 'Error deleting message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const { protect, requireRole } = require('../middleware/auth');
+const { revokeSessions } = require('../utils/sessions');
+
+const router = express.Router();
+
+const MAX_DURATION_MINUTES = 365 * 24 * 60;
+const DEFAULT_LOG_PAGE_SIZE = 50;
+const MAX_LOG_PAGE_SIZE = 100;
+
+// Everything here is for moderators and admins
+router.use(protect, requireRole('moderator'));
+
+const formatModerationUser = (user) => ({
+  ...User.toSummary(user),
+  role: user.role,
+  mutedUntil: user.isMuted() ? user.mutedUntil : null,
+  bannedUntil: user.isBanned() ? user.bannedUntil : null
+});
+
+const formatLogEntry = (entry) => ({
+  _id: entry._id,
+  action: entry.action,
+  actor: User.toSummary(entry.actor),
+  targetUser: User.toSummary(entry.targetUser),
+  targetMessage: entry.targetMessage || null,
+  reason: entry.reason,
+  expiresAt: entry.expiresAt,
+  role: entry.role,
+  createdAt: entry.createdAt
+});
+
+const readReason = (body) => (typeof body.reason === 'string' ? body.reason.trim().slice(0, 500) : '');
+
+// Load the target of a user action, checking the moderator outranks them.
+// Responds and returns null when the action isn't allowed.
+const findTargetUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid user id' });
+    return null;
+  }
+
+  const target = await User.findById(req.params.id).select('-password');
+  if (!target || target.deletedAt) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  if (!User.canModerate(req.user, target)) {
+    res.status(403).json({ message: 'You cannot moderate this user' });
+    return null;
+  }
+  return target;
+};
+
+// Read durationMinutes from the body as the end date of a mute or ban
+const readExpiry = (req, res) => {
+  const minutes = Number(req.body.durationMinutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES) {
+    res.status(400).json({ message: `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes` });
+    return null;
+  }
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+// Find users by username or display name, with their moderation state
+router.get('/users', async (req, res) => {
+  try {
+    const filter = { deletedAt: null };
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query) {
+      const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ username: pattern }, { displayName: pattern }];
+    }
+
+    const users = await User.find(filter)
+      .select(`${User.SUMMARY_FIELDS} role mutedUntil bannedUntil`)
+      .sort({ username: 1 })
+      .limit(50);
+
+    res.json(users.map(formatModerationUser));
+  } catch (error) {
+    req.log.error('Fetch moderation users error', { err: error });
+    res.status(500).json({ message: 'Error fetching users' });
+  }
+});
+
+// Mute a user: they stay connected but cannot post
+router.post('/users/:id/mute', async (req, res) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+    const mutedUntil = readExpiry(req, res);
+    if (!mutedUntil) return;
+    const reason = readReason(req.body);
+
+    target.mutedUntil = mutedUntil;
+    await target.save();
+    await ModerationLog.create({
+      actor: req.user._id,
+      action: 'mute',
+      targetUser: target._id,
+      reason,
+      expiresAt: mutedUntil
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(target._id.toString()).emit('muted', { mutedUntil, reason });
+    }
+
+    res.json(formatModerationUser(target));
+  } catch (error) {
+    req.log.error('Mute user error', { err: error });
+    res.status(500).json({ message: 'Error muting user' });
+  }
+});
+
+router.delete('/users/:id/mute', async (req, res) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    target.mutedUntil = null;
+    await target.save();
+    await ModerationLog.create({
+      actor: req.user._id,
+      action: 'unmute',
+      targetUser: target._id,
+      reason: readReason(req.body)
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(target._id.toString()).emit('muted', { mutedUntil: null, reason: '' });
+    }
+
+    res.json(formatModerationUser(target));
+  } catch (error) {
+    req.log.error('Unmute user error', { err: error });
+    res.status(500).json({ message: 'Error unmuting user' });
+  }
+});
+
+// Ban a user: every session is revoked, which disconnects their sockets, and
+// they cannot log in again until the ban ends
+router.post('/users/:id/ban', async (req, res) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+    const bannedUntil = readExpiry(req, res);
+    if (!bannedUntil) return;
+    const reason = readReason(req.body);
+
+    target.bannedUntil = bannedUntil;
+    await target.save();
+    await ModerationLog.create({
+      actor: req.user._id,
+      action: 'ban',
+      targetUser: target._id,
+      reason,
+      expiresAt: bannedUntil
+    });
+
+    // Tell the user why before their sockets are dropped
+    const io = req.app.get('io');
+    if (io) {
+      io.to(target._id.toString()).emit('banned', { bannedUntil, reason });
+    }
+    await revokeSessions(io, { user: target._id });
+
+    res.json(formatModerationUser(target));
+  } catch (error) {
+    req.log.error('Ban user error', { err: error });
+    res.status(500).json({ message: 'Error banning user' });
+  }
+});
+
+router.delete('/users/:id/ban', async (req, res) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    target.bannedUntil = null;
+    await target.save();
+    await ModerationLog.create({
+      actor: req.user._id,
+      action: 'unban',
+      targetUser: target._id,
+      reason: readReason(req.body)
+    });
+
+    res.json(formatModerationUser(target));
+  } catch (error) {
+    req.log.error('Unban user error', { err: error });
+    res.status(500).json({ message: 'Error unbanning user' });
+  }
+});
+
+// Change a user's role (admins only)
+router.put('/users/:id/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${User.ROLES.join(', ')}` });
+    }
+
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    if (target.role !== role) {
+      target.role = role;
+      await target.save();
+      await ModerationLog.create({
+        actor: req.user._id,
+        action: 'setRole',
+        targetUser: target._id,
+        role
+      });
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(target._id.toString()).emit('roleChanged', { role });
+      }
+    }
+
+    res.json(formatModerationUser(target));
+  } catch (error) {
+    req.log.error('Set role error', { err: error });
+    res.status(500).json({ message: 'Error changing role' });
+  }
+});
+
+// Audit log, newest first. Filter by ?userId= to see actions on one user.
+router.get('/log', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LOG_PAGE_SIZE, MAX_LOG_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = {};
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      filter.targetUser = req.query.userId;
+    }
+
+    const entries = await ModerationLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate('actor', User.SUMMARY_FIELDS)
+      .populate('targetUser', User.SUMMARY_FIELDS);
+
+    res.json({
+      entries: entries.slice(0, limit).map(formatLogEntry),
+      page,
+      hasMore: entries.length > limit
+    });
+  } catch (error) {
+    req.log.error('Fetch moderation log error', { err: error });
+    res.status(500).json({ message: 'Error fetching moderation log' });
+  }
+});
+
+module.exports = router;
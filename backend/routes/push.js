@@ -0,0 +1,78 @@
+const express = require('express');
+const PushSubscription = require('../models/PushSubscription');
+const { protect } = require('../middleware/auth');
+const { getPublicKey } = require('../push');
+
+const router = express.Router();
+
+const MAX_ENDPOINT_LENGTH = 2048;
+const MAX_KEY_LENGTH = 256;
+
+const isKey = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_KEY_LENGTH;
+
+// Read a browser PushSubscription (as serialised by its toJSON) from the body
+const readSubscription = (body) => {
+  const { endpoint, keys } = body || {};
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH || !/^https:\/\//.test(endpoint)) {
+    return null;
+  }
+  if (!keys || !isKey(keys.p256dh) || !isKey(keys.auth)) {
+    return null;
+  }
+  return { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+};
+
+// The VAPID public key to subscribe with
+router.get('/public-key', protect, (req, res) => {
+  const publicKey = getPublicKey();
+  if (!publicKey) {
+    return res.status(404).json({ message: 'Push notifications are not enabled on this server' });
+  }
+  res.json({ publicKey });
+});
+
+// Store this device's subscription. A session has at most one, so a
+// browser that renews its subscription replaces the old one.
+router.post('/subscribe', protect, async (req, res) => {
+  try {
+    if (!getPublicKey()) {
+      return res.status(404).json({ message: 'Push notifications are not enabled on this server' });
+    }
+    const subscription = readSubscription(req.body);
+    if (!subscription) {
+      return res.status(400).json({ message: 'Invalid push subscription' });
+    }
+
+    // The endpoint may belong to someone who used this browser before
+    await PushSubscription.deleteMany({
+      $or: [{ endpoint: subscription.endpoint }, { session: req.sessionId }]
+    });
+    await PushSubscription.create({
+      ...subscription,
+      user: req.user._id,
+      session: req.sessionId,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 300)
+    });
+
+    res.status(201).json({ message: 'Subscribed to push notifications' });
+  } catch (error) {
+    req.log.error('Push subscribe error', { err: error });
+    res.status(500).json({ message: 'Error saving push subscription' });
+  }
+});
+
+// Stop notifications to this device (`{ endpoint }`)
+router.delete('/subscribe', protect, async (req, res) => {
+  try {
+    const filter = typeof req.body?.endpoint === 'string'
+      ? { endpoint: req.body.endpoint }
+      : { session: req.sessionId };
+    await PushSubscription.deleteMany({ ...filter, user: req.user._id });
+    res.json({ message: 'Unsubscribed from push notifications' });
+  } catch (error) {
+    req.log.error('Push unsubscribe error', { err: error });
+    res.status(500).json({ message: 'Error removing push subscription' });
+  }
+});
+
+module.exports = router;
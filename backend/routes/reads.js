@@ -0,0 +1,111 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const ReadState = require('../models/ReadState');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Format a read position as sent in messageRead events
+const formatReadState = (readState) => ({
+  userId: readState.user._id,
+  username: readState.user.username,
+  messageId: readState.lastReadMessage,
+  timestamp: readState.lastReadAt
+});
+
+// Get unread message counts for every conversation of the current user
+router.get('/unread', protect, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const readStates = await ReadState.find({ user: userId }).lean();
+    const lastReadAt = new Map(readStates.map(state => [state.conversationKey, state.lastReadAt]));
+    // Nothing sent before the account existed counts as unread
+    const since = (key) => lastReadAt.get(key) || req.user.createdAt || new Date(0);
+    // Thread replies are not part of the main history, so they don't count,
+    // and neither do messages from blocked or muted users
+    const ignored = [...(req.user.blockedUsers || []), ...(req.user.mutedUsers || [])];
+    const ignoredIds = new Set(ignored.map(id => id.toString()));
+    const unread = { sender: { $nin: [userId, ...ignored] }, deletedAt: null, parentId: null };
+
+    const global = await Message.countDocuments({
+      ...unread,
+      recipient: null,
+      channel: null,
+      timestamp: { $gt: since('global') }
+    });
+
+    const channels = {};
+    const memberChannels = await Channel.find({ members: userId, isArchived: false }).select('_id');
+    await Promise.all(memberChannels.map(async (channel) => {
+      const count = await Message.countDocuments({
+        ...unread,
+        channel: channel._id,
+        timestamp: { $gt: since(`channel:${channel._id}`) }
+      });
+      if (count > 0) channels[channel._id] = count;
+    }));
+
+    const direct = {};
+    const peers = (await Message.distinct('sender', { recipient: userId }))
+      .filter(peerId => !ignoredIds.has(peerId.toString()));
+    await Promise.all(peers.map(async (peerId) => {
+      const count = await Message.countDocuments({
+        ...unread,
+        sender: peerId,
+        recipient: userId,
+        timestamp: { $gt: since(`direct:${peerId}`) }
+      });
+      if (count > 0) direct[peerId] = count;
+    }));
+
+    res.json({ global, channels, direct });
+  } catch (error) {
+    req.log.error('Fetch unread counts error', { err: error });
+    res.status(500).json({ message: 'Error fetching unread counts' });
+  }
+});
+
+// Get everyone's read positions in a conversation: ?channel=<id>,
+// ?with=<userId> for a direct conversation, or neither for the global chat
+router.get('/', protect, async (req, res) => {
+  try {
+    const { channel, with: withUser } = req.query;
+    let filter;
+
+    if (channel) {
+      if (!mongoose.Types.ObjectId.isValid(channel)) {
+        return res.status(400).json({ message: 'Invalid channel id' });
+      }
+      const channelDoc = await Channel.findById(channel);
+      if (!channelDoc || (channelDoc.isPrivate && !channelDoc.isMember(req.user._id))) {
+        return res.status(404).json({ message: 'Channel not found' });
+      }
+      filter = { conversationKey: `channel:${channelDoc._id}` };
+    } else if (withUser) {
+      if (!mongoose.Types.ObjectId.isValid(withUser)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      filter = {
+        $or: [
+          { user: req.user._id, conversationKey: `direct:${withUser}` },
+          { user: withUser, conversationKey: `direct:${req.user._id}` }
+        ]
+      };
+    } else {
+      filter = { conversationKey: 'global' };
+    }
+
+    const readStates = await ReadState.find(filter)
+      .populate('user', 'username _id')
+      .lean();
+
+    res.json(readStates.filter(state => state.user).map(formatReadState));
+  } catch (error) {
+    req.log.error('Fetch read states error', { err: error });
+    res.status(500).json({ message: 'Error fetching read states' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { getStorage } = require('../storage');
+
+const router = express.Router();
+
+// List other users with their profile and when they were last seen; who is
+// online right now comes from the activeUsers socket event
+router.get('/', protect, async (req, res) => {
+  try {
+    const users = await User.find({ _id: { $ne: req.user._id }, deletedAt: null })
+      .select(`${User.SUMMARY_FIELDS} bio lastSeen`)
+      .sort({ username: 1 })
+      .lean();
+
+    res.json(users.map(user => ({
+      ...User.toSummary(user),
+      bio: user.bio || '',
+      lastSeen: user.lastSeen
+    })));
+  } catch (error) {
+    req.log.error('Fetch users error', { err: error });
+    res.status(500).json({ message: 'Error fetching users' });
+  }
+});
+
+const formatRelations = (user) => ({
+  blockedUsers: user.blockedUsers.map(id => id.toString()),
+  mutedUsers: user.mutedUsers.map(id => id.toString())
+});
+
+// Add someone to or remove them from one of the current user's lists
+// (blockedUsers or mutedUsers), then sync the user's other tabs
+const updateList = (field, add) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot do this to yourself' });
+    }
+    if (add && !(await User.exists({ _id: req.params.id, deletedAt: null }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { [add ? '$addToSet' : '$pull']: { [field]: req.params.id } },
+      { new: true }
+    ).select('blockedUsers mutedUsers');
+    const relations = formatRelations(user);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.user._id.toString()).emit('relationsUpdated', relations);
+    }
+
+    res.json(relations);
+  } catch (error) {
+    req.log.error('Update user list error', { err: error });
+    res.status(500).json({ message: 'Error updating your lists' });
+  }
+};
+
+// Blocked users cannot send you direct messages, and their messages and
+// typing are hidden from you
+router.post('/:id/block', protect, updateList('blockedUsers', true));
+router.delete('/:id/block', protect, updateList('blockedUsers', false));
+
+// Muted users' messages stay visible but don't count as unread
+router.post('/:id/mute', protect, updateList('mutedUsers', true));
+router.delete('/:id/mute', protect, updateList('mutedUsers', false));
+
+// Serve a user's avatar. Avatars are public so they can be used directly in
+// <img> tags; the URL changes whenever the avatar does, so it can be cached.
+router.get('/:id/avatar', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await User.findById(req.params.id).select('avatar');
+    if (!user || !user.avatar || !user.avatar.storageKey) {
+      return res.status(404).json({ message: 'Avatar not found' });
+    }
+
+    res.set({
+      'Content-Type': user.avatar.type,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+
+    const stream = getStorage().createReadStream(user.avatar.storageKey);
+    stream.on('error', (error) => {
+      req.log.error('Read avatar error', { err: error });
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Avatar not found' });
+      } else {
+        res.destroy();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    req.log.error('Fetch avatar error', { err: error });
+    res.status(500).json({ message: 'Error fetching avatar' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Give a user a role from the command line, e.g. to appoint the first admin:
+//   npm run set-role -- alice@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { loadConfig } = require('../config');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(loadConfig().mongoUri);
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase(), deletedAt: null },
+      { $set: { role } },
+      { new: true }
+    );
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${user.username} is now ${role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Could not set role:', error.message);
+  process.exitCode = 1;
+});
@@ -1,270 +1,134 @@
 require('dotenv').config();
-const express = require('express');
 const http = require('http');
-const socketIo = require('socket.io');
 const mongoose = require('mongoose');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 
-const authRoutes = require('./routes/auth');
-const messageRoutes = require('./routes/messages');
-const { verifySocketToken } = require('./middleware/auth');
-
-const app = express();
-const server = http.createServer(app);
-
-// Socket.io configuration
-const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-// Remove trailing slash if present
-const cleanFrontendUrl = frontendUrl.replace(/\/$/, '');
-
-console.log('🔧 Configuring Socket.io with frontend URL:', cleanFrontendUrl);
-
-const io = socketIo(server, {
-  cors: {
-    origin: function (origin, callback) {
-      // Allow requests from frontend URL or any origin in development
-      if (!origin || origin === cleanFrontendUrl || process.env.NODE_ENV !== 'production') {
-        callback(null, true);
-      } else {
-        callback(new Error('Not allowed by CORS'));
-      }
-    },
-    methods: ['GET', 'POST', 'OPTIONS'],
-    credentials: true,
-    allowedHeaders: ['Authorization', 'Content-Type']
-  },
-  transports: ['polling', 'websocket'],
-  allowEIO3: true,
-  pingTimeout: 60000,
-  pingInterval: 25000,
-  path: '/socket.io/',
-  serveClient: false
-});
-
-// Middleware - CORS must be before other middleware
-app.use(cors({
-  origin: cleanFrontendUrl,
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Type'],
-  preflightContinue: false,
-  optionsSuccessStatus: 204
-}));
-
-// Explicit OPTIONS handler for all Socket.io paths
-app.options('*', (req, res, next) => {
-  if (req.path.startsWith('/socket.io/')) {
-    res.header('Access-Control-Allow-Origin', cleanFrontendUrl);
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Authorization, Content-Type');
-    res.header('Access-Control-Allow-Credentials', 'true');
-    res.header('Access-Control-Max-Age', '86400');
-    return res.sendStatus(204);
-  }
-  next();
-});
-
-app.use(helmet({
-  crossOriginResourcePolicy: { policy: "cross-origin" },
-  contentSecurityPolicy: false // Allow Socket.io
-}));
-app.use(express.json());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100
-});
-app.use('/api/', limiter);
+const { createApp } = require('./app');
+const { createSocketServer, closeSocketServer } = require('./socket');
+const { announceOffline } = require('./socket/presence');
+const { getPresenceStore, startHeartbeat } = require('./presence');
+const { attachPubSub } = require('./pubsub');
+const { startAttachmentCleanup } = require('./utils/attachmentCleanup');
+const { loadConfig, getConfig, setConfig, ConfigError } = require('./config');
+const { logger } = require('./utils/logger');
+
+// Give up on a graceful shutdown after this long
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+// Build the app, the HTTP server and the Socket.io server without
+// connecting to MongoDB or listening. The config becomes the one every
+// module reads with getConfig().
+const createServer = (config = getConfig()) => {
+  setConfig(config);
+  logger.configure({ level: config.logLevel, format: config.logFormat });
+  const app = createApp(config);
+  const server = http.createServer(app);
+  const io = createSocketServer(server, config);
+  // Expose io to routes that need to push realtime updates
+  app.set('io', io);
+  return { app, server, io };
+};
 
 // MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('✅ MongoDB Connected');
-    console.log('📊 Database:', mongoose.connection.db.databaseName);
-  })
-  .catch(err => {
-    console.error('❌ MongoDB Connection Error:', err);
-    console.error('❌ MONGODB_URI:', process.env.MONGODB_URI ? 'Set (hidden)' : 'NOT SET');
-    process.exit(1);
-  });
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    frontendUrl: cleanFrontendUrl,
-    socketIoEnabled: true,
-    activeUsers: activeUsers.size,
-    corsOrigin: cleanFrontendUrl
+const connectDatabase = async (mongoUri) => {
+  try {
+    await mongoose.connect(mongoUri);
+  } catch (err) {
+    logger.error('MongoDB connection error', { err });
+    throw err;
+  }
+  logger.info('MongoDB connected', { database: mongoose.connection.db.databaseName });
+};
+
+// Connect to MongoDB and start accepting connections. Broadcasts have to
+// reach the other instances before any socket connects. Resolves with the
+// servers and a shutdown function.
+const startServer = async (config = getConfig()) => {
+  const { app, server, io } = createServer(config);
+  await connectDatabase(config.mongoUri);
+  const closePubSub = await attachPubSub(io, config.pubsubAdapter);
+  const stopHeartbeat = startHeartbeat(presence => announceOffline(io, presence));
+  const stopAttachmentCleanup = startAttachmentCleanup();
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, '0.0.0.0', resolve);
   });
-});
-
-// Socket.io connection test endpoint (for debugging)
-app.get('/socket-test', (req, res) => {
-  res.status(200).json({
-    message: 'Socket.io endpoint should be available at /socket.io/',
-    frontendUrl: cleanFrontendUrl,
-    corsConfigured: true
+  logger.info('Server listening', {
+    port: config.port,
+    nodeEnv: config.nodeEnv,
+    frontendUrl: config.frontendUrl,
+    pubsubAdapter: config.pubsubAdapter,
+    presenceStore: config.presenceStore
   });
-});
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/messages', messageRoutes);
 
-// Socket.io connection handling
-const Message = require('./models/Message');
-
-// Active users tracking (must be defined before health check)
-const activeUsers = new Map();
-
-// Socket.io authentication middleware
-io.use((socket, next) => {
+  // Sockets go first, so their presence is cleared while MongoDB is still
+  // connected
+  const shutdown = async () => {
+    stopHeartbeat();
+    stopAttachmentCleanup();
+    await closeSocketServer(io);
+    await getPresenceStore().close();
+    await closePubSub();
+    await mongoose.disconnect();
+  };
+
+  return { app, server, io, shutdown };
+};
+
+// Only run as a process when started directly; tests build the server with
+// createServer and listen on their own
+if (require.main === module) {
+  // Refuse to start on a bad environment, listing every problem at once
+  let config;
   try {
-    const token = socket.handshake.auth.token;
-    if (!token) {
-      return next(new Error('Authentication error: No token provided'));
-    }
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = decoded;
-    next();
+    config = loadConfig();
   } catch (error) {
-    next(new Error('Authentication error: Invalid token'));
+    if (!(error instanceof ConfigError)) throw error;
+    logger.error('Invalid configuration', { problems: error.problems });
+    process.exit(1);
   }
-});
-
-io.on('connection', (socket) => {
-  console.log(`✅ User connected: ${socket.user.username} (ID: ${socket.user.id})`);
-  
-  activeUsers.set(socket.user.id, {
-    id: socket.user.id,
-    username: socket.user.username,
-    socketId: socket.id
-  });
-
-  // Immediately send active users to the newly connected user
-  socket.emit('activeUsers', Array.from(activeUsers.values()));
-  
-  // Broadcast to all other users
-  socket.broadcast.emit('activeUsers', Array.from(activeUsers.values()));
 
-  // Join user to their room
-  socket.join(socket.user.id);
-
-  // Handle new message
-  socket.on('sendMessage', async (data) => {
-    try {
-      if (!data.content || !data.content.trim()) {
-        socket.emit('error', { message: 'Message content cannot be empty' });
-        return;
-      }
-
-      const message = new Message({
-        sender: socket.user.id,
-        content: data.content.trim(),
-        timestamp: new Date()
-      });
-      
-      await message.save();
-      
-      const populatedMessage = await Message.findById(message._id)
-        .populate('sender', 'username _id');
-      
-      if (!populatedMessage) {
-        throw new Error('Failed to retrieve saved message');
-      }
-
-      // Convert to plain object to ensure proper serialization
-      const messageData = {
-        _id: populatedMessage._id,
-        sender: {
-          _id: populatedMessage.sender._id,
-          username: populatedMessage.sender.username
-        },
-        content: populatedMessage.content,
-        timestamp: populatedMessage.timestamp
-      };
-      
-      console.log('📤 Broadcasting message:', messageData);
-      io.emit('newMessage', messageData);
-    } catch (error) {
-      console.error('❌ Error sending message:', error);
-      socket.emit('error', { message: 'Failed to send message' });
-    }
-  });
-
-  // Handle typing indicator
-  socket.on('typing', () => {
-    socket.broadcast.emit('userTyping', { username: socket.user.username });
-  });
-
-  socket.on('stopTyping', () => {
-    socket.broadcast.emit('userStopTyping', { username: socket.user.username });
-  });
-
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log(`❌ User disconnected: ${socket.user.username}`);
-    activeUsers.delete(socket.user.id);
-    io.emit('activeUsers', Array.from(activeUsers.values()));
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught exception', { err: error });
+    process.exit(1);
   });
-});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', { err: reason });
+    process.exit(1);
   });
-});
-
-const PORT = process.env.PORT || 5000;
 
-// Verify critical environment variables
-console.log('🔍 Environment Check:');
-console.log(`  - PORT: ${PORT}`);
-console.log(`  - NODE_ENV: ${process.env.NODE_ENV || 'development'}`);
-console.log(`  - FRONTEND_URL: ${process.env.FRONTEND_URL || 'NOT SET'}`);
-console.log(`  - MONGODB_URI: ${process.env.MONGODB_URI ? 'Set' : 'NOT SET'}`);
-console.log(`  - JWT_SECRET: ${process.env.JWT_SECRET ? 'Set' : 'NOT SET'}`);
-
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📦 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 Frontend URL: ${cleanFrontendUrl}`);
-  console.log(`🔌 Socket.io enabled on path: /socket.io/`);
-  console.log(`✅ CORS configured for: ${cleanFrontendUrl}`);
-  console.log(`📡 Socket.io server initialized: ${io ? 'Yes' : 'No'}`);
-  console.log(`🔗 Server listening on: http://0.0.0.0:${PORT}`);
-  console.log(`✅ Health check available at: /health`);
-  console.log(`✅ Socket.io available at: /socket.io/`);
-});
-
-// Handle server errors
-server.on('error', (error) => {
-  console.error('❌ Server Error:', error);
-  if (error.code === 'EADDRINUSE') {
-    console.error(`❌ Port ${PORT} is already in use`);
-  }
-  process.exit(1);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  startServer(config)
+    .then(({ shutdown }) => {
+      // Drain sockets and close MongoDB when the platform stops us
+      const stop = (signal) => {
+        logger.info('Shutting down', { signal });
+        setTimeout(() => {
+          logger.error('Shutdown timed out');
+          process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+        shutdown()
+          .then(() => {
+            logger.info('Server stopped');
+            process.exit(0);
+          })
+          .catch(error => {
+            logger.error('Error during shutdown', { err: error });
+            process.exit(1);
+          });
+      };
+      process.once('SIGTERM', () => stop('SIGTERM'));
+      process.once('SIGINT', () => stop('SIGINT'));
+    })
+    .catch(error => {
+      if (error.code === 'EADDRINUSE') {
+        logger.error(`Port ${config.port} is already in use`, { err: error });
+      } else {
+        logger.error('Error starting server', { err: error });
+      }
+      process.exit(1);
+    });
+}
 
+module.exports = { createServer, startServer };
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+
+// Channel rooms: members receive a channel's messages through its room
+const registerChannelHandlers = (io, socket) => {
+  // Join the rooms of every active channel the user is a member of
+  Channel.find({ members: socket.user.id, isArchived: false })
+    .select('_id')
+    .then(channels => {
+      channels.forEach(channel => socket.join(Channel.roomName(channel._id)));
+    })
+    .catch(error => {
+      socket.log.error('Error joining channel rooms', { err: error });
+    });
+
+  // Subscribe to a channel's room after joining it through the API
+  socket.on('joinChannel', async (data) => {
+    try {
+      if (!data || !mongoose.Types.ObjectId.isValid(data.channelId)) {
+        socket.emit('error', { message: 'Invalid channel' });
+        return;
+      }
+      const channel = await Channel.findById(data.channelId);
+      if (!channel || !channel.isMember(socket.user.id)) {
+        socket.emit('error', { message: 'You are not a member of this channel' });
+        return;
+      }
+      socket.join(Channel.roomName(channel._id));
+    } catch (error) {
+      socket.log.error('Error joining channel', { err: error });
+      socket.emit('error', { message: 'Failed to join channel' });
+    }
+  });
+
+  socket.on('leaveChannel', (data) => {
+    if (data && mongoose.Types.ObjectId.isValid(data.channelId)) {
+      socket.leave(Channel.roomName(data.channelId));
+    }
+  });
+};
+
+module.exports = registerChannelHandlers;
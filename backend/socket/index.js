@@ -0,0 +1,87 @@
+const socketIo = require('socket.io');
+const Session = require('../models/Session');
+const { verifySocketToken } = require('../middleware/auth');
+const { SocketRateLimiter } = require('../middleware/socketRateLimit');
+const { registerPresenceHandlers, settleDisconnects } = require('./presence');
+const registerChannelHandlers = require('./channels');
+const registerMessageHandlers = require('./messages');
+const registerReadHandlers = require('./reads');
+const registerReactionHandlers = require('./reactions');
+const registerTypingHandlers = require('./typing');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../config');
+
+// The socket rate limits from the config
+const createRateLimiter = (config) => new SocketRateLimiter({
+  limits: config.socketRateLimits,
+  penalties: {
+    muteAfter: config.socketPenaltyMuteAfter,
+    muteSeconds: config.socketPenaltyMuteSeconds,
+    disconnectAfter: config.socketPenaltyDisconnectAfter,
+    windowSeconds: config.socketPenaltyWindowSeconds
+  }
+});
+
+// Create the Socket.io server on an HTTP server and register every feature's
+// handlers on each connection. deps: { rateLimiter } replaces the one built
+// from the config.
+const createSocketServer = (httpServer, config = getConfig(), { rateLimiter = createRateLimiter(config) } = {}) => {
+  const { frontendUrl, nodeEnv } = config;
+
+  const io = socketIo(httpServer, {
+    cors: {
+      origin: function (origin, callback) {
+        // Allow requests from frontend URL or any origin in development
+        if (!origin || origin === frontendUrl || nodeEnv !== 'production') {
+          callback(null, true);
+        } else {
+          callback(new Error('Not allowed by CORS'));
+        }
+      },
+      methods: ['GET', 'POST', 'OPTIONS'],
+      credentials: true,
+      allowedHeaders: ['Authorization', 'Content-Type']
+    },
+    transports: ['polling', 'websocket'],
+    allowEIO3: true,
+    pingTimeout: 60000,
+    pingInterval: 25000,
+    path: '/socket.io/',
+    serveClient: false
+  });
+
+  io.use(verifySocketToken);
+
+  io.on('connection', (socket) => {
+    // Handlers log through socket.log, which tags entries with the socket
+    socket.log = logger.child({ socketId: socket.id, userId: socket.user.id });
+    socket.log.info('User connected', { username: socket.user.username });
+    // Throttle chatty socket events per user
+    socket.use(rateLimiter.middleware(socket));
+
+    // Join user to their room
+    socket.join(socket.user.id);
+    // Revoking the session disconnects every socket in this room
+    socket.join(Session.roomName(socket.user.sessionId));
+
+    registerPresenceHandlers(io, socket);
+    registerChannelHandlers(io, socket);
+    registerMessageHandlers(io, socket);
+    registerReadHandlers(io, socket);
+    registerReactionHandlers(io, socket);
+    registerTypingHandlers(io, socket);
+  });
+
+  return io;
+};
+
+// Disconnect this instance's sockets, wait for their presence to be
+// cleared, then stop accepting connections. Sockets on other instances are
+// left alone.
+const closeSocketServer = async (io) => {
+  io.local.disconnectSockets(true);
+  await settleDisconnects();
+  await new Promise(resolve => io.close(() => resolve()));
+};
+
+module.exports = { createSocketServer, closeSocketServer };
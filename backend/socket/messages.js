@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Channel = require('../models/Channel');
+const Attachment = require('../models/Attachment');
+const { emitToConversation } = require('../utils/realtime');
+const { getIgnoringRooms, excludeBlocked } = require('../utils/blocks');
+const { processMessage } = require('../pipeline');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { pushToOfflineUsers } = require('../utils/pushNotifications');
+const { canReadMessage, memberMessageFilter } = require('../utils/access');
+const { formatMessage } = require('../utils/serializers');
+const { UNSENT_ATTACHMENT_TTL_MS } = require('../utils/attachmentCleanup');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const CLIENT_ID_PATTERN = /^[\w-]{8,64}$/;
+// A reconnecting client gets at most this many changed messages replayed,
+// and only for gaps up to SYNC_MAX_GAP_MS; otherwise it reloads instead
+const SYNC_LIMIT = 200;
+const SYNC_MAX_GAP_MS = 24 * 60 * 60 * 1000;
+// Changes saved just before `since` may not have reached the client yet
+const SYNC_OVERLAP_MS = 5000;
+
+// A message the user already sent with this clientId
+const findByClientId = (userId, clientId) =>
+  Message.findOne({ sender: userId, clientId })
+    .populate('sender', User.SUMMARY_FIELDS)
+    .populate('recipient', User.SUMMARY_FIELDS)
+    .populate('lastReplyBy', User.SUMMARY_FIELDS);
+
+// Sending messages and catching up on missed ones
+const registerMessageHandlers = (io, socket) => {
+  // Handle new message. Clients give each message a clientId and pass an
+  // acknowledgement callback, which gets { message } once it is saved or
+  // { error, code } when it is refused. Sending a clientId again returns the
+  // saved message instead of saving a duplicate, so retries are safe.
+  socket.on('sendMessage', async (data = {}, ack) => {
+    // Clients without an acknowledgement callback get error events
+    const fail = ({ message, ...details }) => {
+      if (typeof ack === 'function') {
+        ack({ error: message, ...details });
+      } else {
+        socket.emit('error', { message, ...details });
+      }
+    };
+    const reply = (messageData) => {
+      if (typeof ack === 'function') ack({ message: messageData });
+    };
+
+    let clientId = null;
+    try {
+      if (data.clientId != null) {
+        if (typeof data.clientId !== 'string' || !CLIENT_ID_PATTERN.test(data.clientId)) {
+          return fail({ message: 'Invalid client id' });
+        }
+        clientId = data.clientId;
+        const existing = await findByClientId(socket.user.id, clientId);
+        if (existing) return reply(formatMessage(existing));
+      }
+
+      // Files are uploaded through /api/attachments first and referenced
+      // here by id; a message may consist of attachments alone
+      const attachmentIds = Array.isArray(data.attachmentIds) ? [...new Set(data.attachmentIds.map(String))] : [];
+      let content = typeof data.content === 'string' ? data.content.trim() : '';
+      if (!content && attachmentIds.length === 0) {
+        return fail({ message: 'Message content cannot be empty' });
+      }
+      if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+        return fail({ message: `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` });
+      }
+      if (!attachmentIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return fail({ message: 'Invalid attachment' });
+      }
+
+      // Bans and mutes can start while the socket is connected
+      const author = await User.findById(socket.user.id).select('mutedUntil bannedUntil blockedUsers');
+      if (!author || author.isBanned()) {
+        fail({ message: 'You are banned' });
+        socket.disconnect(true);
+        return;
+      }
+      if (author.isMuted()) {
+        return fail({ message: `You are muted until ${author.mutedUntil.toISOString()}` });
+      }
+
+      // A recipientId turns the message into a direct message and a
+      // channelId posts it to a channel
+      let { recipientId, channelId } = data;
+      let recipient = null;
+      let channel = null;
+
+      // A parentId posts the message as a reply in that message's thread;
+      // replies always stay in the parent's conversation
+      let parent = null;
+      if (data.parentId) {
+        if (!mongoose.Types.ObjectId.isValid(data.parentId)) {
+          return fail({ message: 'Invalid thread' });
+        }
+        parent = await Message.findById(data.parentId);
+        if (!parent || parent.deletedAt || !(await canReadMessage(parent, socket.user.id))) {
+          return fail({ message: 'Thread not found' });
+        }
+        if (parent.parentId) {
+          return fail({ message: 'Cannot start a thread on a reply' });
+        }
+        channelId = parent.channel;
+        recipientId = null;
+        if (parent.recipient) {
+          recipientId = parent.sender.toString() === socket.user.id ? parent.recipient : parent.sender;
+        }
+      }
+
+      if (recipientId && channelId) {
+        return fail({ message: 'A message cannot have both a recipient and a channel' });
+      }
+      if (channelId) {
+        if (!mongoose.Types.ObjectId.isValid(channelId)) {
+          return fail({ message: 'Invalid channel' });
+        }
+        channel = await Channel.findById(channelId);
+        if (!channel || !channel.isMember(socket.user.id)) {
+          return fail({ message: 'You are not a member of this channel' });
+        }
+        if (channel.isArchived) {
+          return fail({ message: 'Channel is archived' });
+        }
+      }
+      if (recipientId) {
+        if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+          return fail({ message: 'Invalid recipient' });
+        }
+        recipient = await User.findById(recipientId).select('_id blockedUsers');
+        if (!recipient) {
+          return fail({ message: 'Recipient not found' });
+        }
+        // Blocking stops direct messages both ways
+        if (recipient.hasBlocked(socket.user.id)) {
+          return fail({ message: 'You cannot message this user' });
+        }
+        if (author.hasBlocked(recipient._id)) {
+          return fail({ message: 'Unblock this user to message them' });
+        }
+      }
+
+      // Only the uploader's own, not yet sent attachments can be used, and
+      // not once the cleanup may be deleting them
+      const attachments = attachmentIds.length
+        ? await Attachment.find({
+          _id: { $in: attachmentIds },
+          owner: socket.user.id,
+          message: null,
+          createdAt: { $gt: new Date(Date.now() - UNSENT_ATTACHMENT_TTL_MS) }
+        })
+        : [];
+      if (attachments.length !== attachmentIds.length) {
+        return fail({ message: 'Attachment not found' });
+      }
+      // Keep the order the files were added in
+      attachments.sort((a, b) => attachmentIds.indexOf(a._id.toString()) - attachmentIds.indexOf(b._id.toString()));
+
+      // Content filters run last, so only messages that would be sent count
+      // towards spam limits
+      const processed = await processMessage(content, { userId: socket.user.id, action: 'send' });
+      if (processed.rejected) {
+        return fail({ message: processed.reason, code: 'messageRejected', stage: processed.stage });
+      }
+      content = processed.content;
+      if (!content && attachments.length === 0) {
+        return fail({ message: 'Message content cannot be empty' });
+      }
+
+      const message = new Message({
+        sender: socket.user.id,
+        recipient: recipient ? recipient._id : null,
+        channel: channel ? channel._id : null,
+        parentId: parent ? parent._id : null,
+        clientId,
+        content,
+        attachments: attachments.map(attachment => attachment.toMetadata()),
+        timestamp: new Date()
+      });
+      message.mentions = await resolveMentions(message, socket.user.id);
+      
+      await message.save();
+
+      if (attachments.length) {
+        await Attachment.updateMany(
+          { _id: { $in: attachments.map(attachment => attachment._id) } },
+          { $set: { message: message._id } }
+        );
+      }
+      
+      const populatedMessage = await Message.findById(message._id)
+        .populate('sender', User.SUMMARY_FIELDS)
+        .populate('recipient', User.SUMMARY_FIELDS);
+      
+      if (!populatedMessage) {
+        throw new Error('Failed to retrieve saved message');
+      }
+
+      const messageData = formatMessage(populatedMessage);
+      
+      // Direct messages only reach the two participants' rooms and channel
+      // messages only the channel room; users who blocked the sender are skipped
+      socket.log.debug('Delivering message', {
+        messageId: messageData._id,
+        channel: messageData.channel,
+        recipient: messageData.recipient?._id
+      });
+      const blockerRooms = await getIgnoringRooms(socket.user.id);
+      emitToConversation(io, messageData, 'newMessage', messageData, { except: blockerRooms });
+      reply(messageData);
+      notifyMentions(io, message.mentions, messageData);
+
+      // Offline recipients of a direct message get a push notification,
+      // unless the mention above already sent one
+      if (message.recipient && !message.mentions.some(id => id.equals(message.recipient))) {
+        pushToOfflineUsers([message.recipient], messageData).catch(error => {
+          socket.log.error('Direct message push error', { err: error });
+        });
+      }
+
+      if (parent) {
+        // Keep the parent's thread metadata current for everyone viewing it
+        const updatedParent = await Message.findByIdAndUpdate(
+          parent._id,
+          {
+            $inc: { replyCount: 1 },
+            $set: { lastReplyAt: message.timestamp, lastReplyBy: message.sender }
+          },
+          { new: true }
+        );
+        emitToConversation(io, updatedParent, 'threadUpdated', {
+          messageId: updatedParent._id,
+          replyCount: updatedParent.replyCount,
+          lastReplyAt: updatedParent.lastReplyAt,
+          lastReplyBy: messageData.sender
+        });
+      }
+    } catch (error) {
+      // A retry raced the first attempt and lost; answer with the saved message
+      if (error.code === 11000 && clientId) {
+        const existing = await findByClientId(socket.user.id, clientId).catch(() => null);
+        if (existing) return reply(formatMessage(existing));
+      }
+      socket.log.error('Error sending message', { err: error });
+      fail({ message: 'Failed to send message' });
+    }
+  });
+
+  // Replay what a client missed while disconnected: every message sent,
+  // edited, deleted or otherwise changed since `since` (a server time from an
+  // earlier sync or a message's updatedAt) in the conversations it receives
+  // live. Thread replies are only included for the open thread named by
+  // `threadId` and when they mention the user. The ack
+  // gets { messages, cursor }, oldest change first, or { reset: true, cursor }
+  // when the gap is too large and the client should reload instead. Either
+  // way `cursor` is the `since` to use next time.
+  socket.on('sync', async (data, ack) => {
+    if (typeof ack !== 'function') return;
+    try {
+      if (!data || typeof data !== 'object') {
+        return ack({ error: 'Invalid sync request' });
+      }
+      const { since, threadId } = data;
+      if (threadId != null && !mongoose.Types.ObjectId.isValid(threadId)) {
+        return ack({ error: 'Invalid thread' });
+      }
+      const cursor = new Date();
+      if (!since) {
+        return ack({ messages: [], cursor });
+      }
+      const sinceTime = new Date(since).getTime();
+      if (Number.isNaN(sinceTime)) {
+        return ack({ error: 'Invalid sync cursor' });
+      }
+      if (cursor.getTime() - sinceTime > SYNC_MAX_GAP_MS) {
+        return ack({ reset: true, cursor });
+      }
+
+      const user = await User.findById(socket.user.id).select('blockedUsers');
+      const replies = [{ parentId: null }, { mentions: socket.user.id }];
+      if (threadId) replies.push({ parentId: threadId });
+      const filter = {
+        updatedAt: { $gt: new Date(sinceTime - SYNC_OVERLAP_MS) },
+        $and: [await memberMessageFilter(socket.user.id), { $or: replies }]
+      };
+      const changed = await Message.find(excludeBlocked(user, filter))
+        .sort({ updatedAt: 1 })
+        .limit(SYNC_LIMIT + 1)
+        .populate('sender', User.SUMMARY_FIELDS)
+        .populate('recipient', User.SUMMARY_FIELDS)
+        .populate('lastReplyBy', User.SUMMARY_FIELDS)
+        .lean();
+
+      if (changed.length > SYNC_LIMIT) {
+        return ack({ reset: true, cursor });
+      }
+      ack({ messages: changed.map(formatMessage), cursor });
+    } catch (error) {
+      socket.log.error('Error syncing messages', { err: error });
+      ack({ error: 'Failed to sync messages' });
+    }
+  });
+};
+
+module.exports = registerMessageHandlers;
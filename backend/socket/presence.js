@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const { getPresenceStore, getVisibleUsers } = require('../presence');
+
+// Record when a user was last seen and tell clients they went offline
+const markUserOffline = async (io, userId) => {
+  const lastSeen = new Date();
+  await User.updateOne({ _id: userId }, { lastSeen });
+  io.emit('userOffline', { id: userId, lastSeen });
+};
+
+// A user's last connection is gone, on this instance or on one that stopped
+const announceOffline = async (io, { id, status }) => {
+  io.emit('activeUsers', await getVisibleUsers());
+  if (status !== 'invisible') {
+    await markUserOffline(io, id);
+  }
+};
+
+// Disconnect handlers still updating presence, so shutdown can wait for them
+const pendingDisconnects = new Set();
+
+const settleDisconnects = () => Promise.allSettled([...pendingDisconnects]);
+
+// Online status: register the socket, status changes and going offline
+const registerPresenceHandlers = (io, socket) => {
+  const registerPresence = async () => {
+    // A first connection restores the status the user chose last time
+    const user = await User.findById(socket.user.id).select(`status ${User.SUMMARY_FIELDS}`);
+    if (socket.disconnected) return;
+    const presenceStore = getPresenceStore();
+    const status = await presenceStore.addSocket(socket.user.id, socket.id, {
+      username: socket.user.username,
+      displayName: (user && user.displayName) || '',
+      avatarUrl: user ? User.avatarUrl(user) : null,
+      status: (user && user.status) || 'online'
+    });
+    if (socket.disconnected) {
+      // Gone while registering; the disconnect handler may have run already
+      await presenceStore.removeSocket(socket.user.id, socket.id);
+      return;
+    }
+
+    // Let the user's tabs know their own status, even when invisible
+    socket.emit('statusChanged', { status });
+
+    // Immediately send active users to the newly connected user, and
+    // broadcast them to all other users
+    const visibleUsers = await getVisibleUsers();
+    socket.emit('activeUsers', visibleUsers);
+    socket.broadcast.emit('activeUsers', visibleUsers);
+  };
+
+  registerPresence().catch(error => {
+    socket.log.error('Error registering presence', { err: error });
+  });
+
+  // Change the user's presence status on every device
+  socket.on('setStatus', async (data) => {
+    try {
+      const status = data?.status;
+      if (!User.STATUSES.includes(status)) {
+        socket.emit('error', { message: 'Invalid status' });
+        return;
+      }
+      const presenceStore = getPresenceStore();
+      if ((await presenceStore.onlineUserIds([socket.user.id])).length === 0) return;
+
+      // The previous status, to tell whether the user was invisible
+      const previous = await User.findOneAndUpdate({ _id: socket.user.id }, { status }).select('status');
+      const wasInvisible = Boolean(previous && previous.status === 'invisible');
+      await presenceStore.setStatus(socket.user.id, status);
+
+      io.to(socket.user.id).emit('statusChanged', { status });
+      io.emit('activeUsers', await getVisibleUsers());
+      // Going invisible looks like going offline to everyone else
+      if (status === 'invisible' && !wasInvisible) {
+        await markUserOffline(io, socket.user.id);
+      }
+    } catch (error) {
+      socket.log.error('Error setting status', { err: error });
+      socket.emit('error', { message: 'Failed to set status' });
+    }
+  });
+
+  const removePresence = async () => {
+    const presence = await getPresenceStore().removeSocket(socket.user.id, socket.id);
+    // Null while the user still has other connections
+    if (presence) {
+      await announceOffline(io, presence);
+    }
+  };
+
+  // Handle disconnect
+  socket.on('disconnect', (reason) => {
+    socket.log.info('User disconnected', { reason });
+    const pending = removePresence()
+      .catch(error => {
+        socket.log.error('Error updating presence on disconnect', { err: error });
+      })
+      .finally(() => pendingDisconnects.delete(pending));
+    pendingDisconnects.add(pending);
+  });
+};
+
+module.exports = { registerPresenceHandlers, announceOffline, settleDisconnects };
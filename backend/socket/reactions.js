@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { emitToConversation } = require('../utils/realtime');
+const { canReadMessage } = require('../utils/access');
+const { getIgnoringRooms } = require('../utils/blocks');
+
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Reactions must be a single short emoji sequence
+const isValidEmoji = (emoji) =>
+  typeof emoji === 'string' &&
+  emoji.length <= 16 &&
+  !/\s/.test(emoji) &&
+  /\p{Extended_Pictographic}/u.test(emoji);
+
+// Emoji reactions on messages
+const registerReactionHandlers = (io, socket) => {
+  // Add or remove the user's reaction and broadcast the message's reactions
+  const updateReaction = async (data, add) => {
+    try {
+      if (!data || !mongoose.Types.ObjectId.isValid(data.messageId) || !isValidEmoji(data.emoji)) {
+        socket.emit('error', { message: 'Invalid reaction' });
+        return;
+      }
+      const { messageId, emoji } = data;
+      const message = await Message.findById(messageId).select('sender recipient channel deletedAt reactions');
+      if (!message || message.deletedAt || !(await canReadMessage(message, socket.user.id))) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+
+      const userId = new mongoose.Types.ObjectId(socket.user.id);
+      if (add) {
+        const existing = await Message.updateOne(
+          { _id: message._id, 'reactions.emoji': emoji },
+          { $addToSet: { 'reactions.$.userIds': userId } }
+        );
+        if (!existing.matchedCount) {
+          if (message.reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+            socket.emit('error', { message: 'Too many different reactions on this message' });
+            return;
+          }
+          const added = await Message.updateOne(
+            { _id: message._id, 'reactions.emoji': { $ne: emoji } },
+            { $push: { reactions: { emoji, userIds: [userId] } } }
+          );
+          // Someone else added the same emoji in the meantime
+          if (!added.matchedCount) {
+            await Message.updateOne(
+              { _id: message._id, 'reactions.emoji': emoji },
+              { $addToSet: { 'reactions.$.userIds': userId } }
+            );
+          }
+        }
+      } else {
+        await Message.updateOne(
+          { _id: message._id, 'reactions.emoji': emoji },
+          { $pull: { 'reactions.$.userIds': userId } }
+        );
+        await Message.updateOne(
+          { _id: message._id },
+          { $pull: { reactions: { userIds: { $size: 0 } } } }
+        );
+      }
+
+      // Users who blocked the reactor don't hear of their reactions live,
+      // and users who blocked the sender never saw the message
+      const [reactorBlockers, senderBlockers] = await Promise.all([
+        getIgnoringRooms(socket.user.id),
+        getIgnoringRooms(message.sender)
+      ]);
+      const except = [...reactorBlockers, ...senderBlockers].filter(id => id !== socket.user.id);
+      const updated = await Message.findById(message._id).select('reactions').lean();
+      emitToConversation(io, message, 'reactionUpdated', {
+        messageId: message._id,
+        reactions: updated.reactions.map(reaction => ({
+          emoji: reaction.emoji,
+          userIds: reaction.userIds
+        }))
+      }, { except });
+    } catch (error) {
+      socket.log.error('Error updating reaction', { err: error });
+      socket.emit('error', { message: 'Failed to update reaction' });
+    }
+  };
+
+  socket.on('addReaction', (data) => updateReaction(data, true));
+  socket.on('removeReaction', (data) => updateReaction(data, false));
+};
+
+module.exports = registerReactionHandlers;
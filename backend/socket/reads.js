@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const ReadState = require('../models/ReadState');
+const { emitToConversation } = require('../utils/realtime');
+const { canReadMessage } = require('../utils/access');
+
+// Read receipts
+const registerReadHandlers = (io, socket) => {
+  // Advance the user's read position in a message's conversation
+  socket.on('markRead', async (data) => {
+    try {
+      if (!data || !mongoose.Types.ObjectId.isValid(data.messageId)) {
+        socket.emit('error', { message: 'Invalid message' });
+        return;
+      }
+      const message = await Message.findById(data.messageId);
+      if (!message || !(await canReadMessage(message, socket.user.id))) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+
+      const conversationKey = ReadState.conversationKey(message, socket.user.id);
+      try {
+        // Only ever move the position forward; the upsert hits the unique
+        // index when an existing position is already further along
+        const result = await ReadState.updateOne(
+          {
+            user: socket.user.id,
+            conversationKey,
+            lastReadAt: { $lt: message.timestamp }
+          },
+          {
+            $set: {
+              lastReadMessage: message._id,
+              lastReadAt: message.timestamp,
+              updatedAt: new Date()
+            }
+          },
+          { upsert: true }
+        );
+        if (!result.modifiedCount && !result.upsertedCount) return;
+      } catch (error) {
+        if (error.code === 11000) return;
+        throw error;
+      }
+
+      emitToConversation(io, message, 'messageRead', {
+        userId: socket.user.id,
+        username: socket.user.username,
+        messageId: message._id,
+        timestamp: message.timestamp,
+        channel: message.channel,
+        // Lets clients tell which direct conversation the receipt belongs to
+        participants: message.recipient ? [message.sender, message.recipient] : null
+      });
+    } catch (error) {
+      socket.log.error('Error marking message read', { err: error });
+      socket.emit('error', { message: 'Failed to mark message as read' });
+    }
+  });
+};
+
+module.exports = registerReadHandlers;
@@ -0,0 +1,40 @@
+const Channel = require('../models/Channel');
+const { getIgnoringRooms } = require('../utils/blocks');
+
+// Typing indicators
+const registerTypingHandlers = (io, socket) => {
+  // Deliver typing events only to the conversation they happen in
+  const emitTyping = async (event, data = {}) => {
+    try {
+      const payload = { username: socket.user.username, userId: socket.user.id };
+      // Users who blocked or muted this user don't see them typing
+      const ignoringRooms = await getIgnoringRooms(socket.user.id, { includeMuters: true });
+      const target = socket.broadcast.except(ignoringRooms);
+
+      if (data.channelId) {
+        const room = Channel.roomName(data.channelId);
+        // Only members subscribed to the channel room may type in it
+        if (socket.rooms.has(room)) {
+          target.to(room).emit(event, { ...payload, channelId: data.channelId });
+        }
+      } else if (data.recipientId) {
+        target.to(String(data.recipientId)).emit(event, { ...payload, direct: true });
+      } else {
+        target.emit(event, payload);
+      }
+    } catch (error) {
+      socket.log.error('Error sending typing status', { err: error });
+    }
+  };
+
+  // Handle typing indicator
+  socket.on('typing', (data) => {
+    emitTyping('userTyping', data);
+  });
+
+  socket.on('stopTyping', (data) => {
+    emitTyping('userStopTyping', data);
+  });
+};
+
+module.exports = registerTypingHandlers;
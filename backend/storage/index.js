@@ -0,0 +1,31 @@
+const LocalDiskStorage = require('./localDisk');
+const { getConfig } = require('../config');
+
+// Storage adapters implement:
+//   save(buffer) -> Promise<key>
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise
+// Select one with STORAGE_DRIVER; local disk is the default.
+const drivers = {
+  local: () => new LocalDiskStorage(getConfig().uploadDir)
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = getConfig().storageDriver;
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+// Replace the storage adapter, e.g. with a cloud or in-memory implementation
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = { getStorage, setStorage };
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores files on the local disk under `directory`, named by a random key
+class LocalDiskStorage {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(key) {
+    // Keys are generated here, but never let one escape the directory
+    if (!/^[a-f0-9]{32}$/.test(key)) {
+      throw new Error('Invalid storage key');
+    }
+    return path.join(this.directory, key);
+  }
+
+  // Save a buffer and resolve with the key to retrieve it later
+  async save(buffer) {
+    const key = crypto.randomBytes(16).toString('hex');
+    await fs.promises.writeFile(this.filePath(key), buffer);
+    return key;
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.filePath(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { startTestServer } = require('./helpers');
+const Attachment = require('../models/Attachment');
+const { setStorage } = require('../storage');
+const { removeUnsentAttachments, UNSENT_ATTACHMENT_TTL_MS } = require('../utils/attachmentCleanup');
+
+// Keeps files in a Map so tests can see what was stored
+const createMemoryStorage = () => {
+  const files = new Map();
+  let nextKey = 0;
+  return {
+    files,
+    save: async (buffer) => {
+      nextKey += 1;
+      files.set(`file${nextKey}`, buffer);
+      return `file${nextKey}`;
+    },
+    createReadStream: key => Readable.from([files.get(key)]),
+    remove: async (key) => {
+      files.delete(key);
+    }
+  };
+};
+
+describe('attachment routes', () => {
+  let ctx;
+  let alice;
+  let storage;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await ctx.register('alice');
+    storage = createMemoryStorage();
+    setStorage(storage);
+  });
+
+  const upload = (user, name, contents = 'hello') => {
+    const form = new FormData();
+    form.append('file', new Blob([contents], { type: 'text/plain' }), name);
+    return ctx.api.post('/attachments', form, ctx.authHeaders(user));
+  };
+
+  describe('POST /attachments', () => {
+    it('stores the file and returns its metadata', async () => {
+      const response = await upload(alice, 'notes.txt');
+
+      assert.equal(response.status, 201);
+      assert.equal(response.data.name, 'notes.txt');
+      assert.equal(response.data.size, 5);
+      assert.equal(storage.files.size, 1);
+    });
+
+    it('refuses names the model would reject without storing the file', async () => {
+      const response = await upload(alice, `${'a'.repeat(300)}.txt`);
+
+      assert.equal(response.status, 400);
+      assert.match(response.data.message, /File name must be between 1 and 255 characters/);
+      assert.equal(storage.files.size, 0);
+    });
+
+    it('refuses empty files', async () => {
+      const response = await upload(alice, 'empty.txt', '');
+
+      assert.equal(response.status, 400);
+      assert.equal(storage.files.size, 0);
+    });
+
+    it('removes the stored file when the attachment cannot be saved', async () => {
+      const create = mock.method(Attachment, 'create', async () => {
+        throw new Error('Database unavailable');
+      });
+      try {
+        const response = await upload(alice, 'notes.txt');
+
+        assert.equal(response.status, 500);
+        assert.equal(storage.files.size, 0);
+        assert.equal(await Attachment.countDocuments(), 0);
+      } finally {
+        create.mock.restore();
+      }
+    });
+  });
+
+  describe('removeUnsentAttachments', () => {
+    it('deletes expired attachments that were never sent, with their files', async () => {
+      const unsent = await upload(alice, 'unsent.txt');
+      const sent = await upload(alice, 'sent.txt');
+      await Attachment.updateOne({ _id: sent.data._id }, { message: new mongoose.Types.ObjectId() });
+
+      assert.equal(await removeUnsentAttachments(), 0);
+      assert.equal(await removeUnsentAttachments(Date.now() + UNSENT_ATTACHMENT_TTL_MS + 1000), 1);
+
+      assert.equal(await Attachment.exists({ _id: unsent.data._id }), null);
+      assert.ok(await Attachment.exists({ _id: sent.data._id }));
+      assert.equal(storage.files.size, 1);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const User = require('../models/User');
+
+describe('auth routes', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  describe('POST /auth/register', () => {
+    it('creates a user and a session', async () => {
+      const response = await ctx.api.post('/auth/register', {
+        username: 'alice',
+        email: 'alice@example.com',
+        password: 'password123'
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.data.username, 'alice');
+      assert.ok(response.data.token);
+      assert.ok(response.data.refreshToken);
+      assert.equal(response.data.password, undefined);
+
+      const user = await User.findOne({ username: 'alice' });
+      assert.notEqual(user.password, 'password123');
+    });
+
+    it('refuses missing fields', async () => {
+      const response = await ctx.api.post('/auth/register', { username: 'alice' });
+      assert.equal(response.status, 400);
+    });
+
+    it('refuses a taken username or email', async () => {
+      await ctx.api.post('/auth/register', { username: 'alice', email: 'alice@example.com', password: 'password123' });
+
+      const sameName = await ctx.api.post('/auth/register', { username: 'alice', email: 'other@example.com', password: 'password123' });
+      const sameEmail = await ctx.api.post('/auth/register', { username: 'other', email: 'alice@example.com', password: 'password123' });
+      assert.equal(sameName.status, 400);
+      assert.equal(sameEmail.status, 400);
+    });
+  });
+
+  describe('POST /auth/login', () => {
+    beforeEach(async () => {
+      await ctx.api.post('/auth/register', { username: 'bob', email: 'bob@example.com', password: 'password123' });
+    });
+
+    it('returns tokens for the right password', async () => {
+      const response = await ctx.api.post('/auth/login', { email: 'bob@example.com', password: 'password123' });
+      assert.equal(response.status, 200);
+      assert.equal(response.data.username, 'bob');
+      assert.ok(response.data.token);
+    });
+
+    it('refuses a wrong password or unknown email', async () => {
+      const wrongPassword = await ctx.api.post('/auth/login', { email: 'bob@example.com', password: 'nope12345' });
+      const unknown = await ctx.api.post('/auth/login', { email: 'nobody@example.com', password: 'password123' });
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(unknown.status, 401);
+    });
+
+    it('refuses banned users', async () => {
+      await User.updateOne({ username: 'bob' }, { bannedUntil: new Date(Date.now() + 60 * 1000) });
+      const response = await ctx.api.post('/auth/login', { email: 'bob@example.com', password: 'password123' });
+      assert.equal(response.status, 403);
+      assert.ok(response.data.bannedUntil);
+    });
+  });
+
+  describe('protect middleware', () => {
+    it('refuses requests without a token', async () => {
+      const response = await ctx.api.get('/auth/profile');
+      assert.equal(response.status, 401);
+    });
+
+    it('refuses invalid tokens', async () => {
+      const response = await ctx.api.get('/auth/profile', { headers: { Authorization: 'Bearer not-a-token' } });
+      assert.equal(response.status, 401);
+    });
+
+    it('lets a valid token through', async () => {
+      const user = await ctx.register('carol');
+      const response = await ctx.api.get('/auth/profile', ctx.authHeaders(user));
+      assert.equal(response.status, 200);
+      assert.equal(response.data.username, user.username);
+    });
+
+    it('refuses the token of a session that logged out', async () => {
+      const user = await ctx.register('dave');
+      await ctx.api.post('/auth/logout', { refreshToken: user.refreshToken });
+
+      const response = await ctx.api.get('/auth/profile', ctx.authHeaders(user));
+      assert.equal(response.status, 401);
+      assert.equal(response.data.message, 'Session has been revoked');
+    });
+
+    it('refuses users banned after logging in', async () => {
+      const user = await ctx.register('erin');
+      await User.updateOne({ _id: user._id }, { bannedUntil: new Date(Date.now() + 60 * 1000) });
+
+      const response = await ctx.api.get('/auth/profile', ctx.authHeaders(user));
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, waitFor, waitUntil, collect, sendMessage } = require('./helpers');
+const Channel = require('../models/Channel');
+
+describe('channel routes', () => {
+  let ctx;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await ctx.register('alice');
+    bob = await ctx.register('bob');
+  });
+
+  const createChannel = async (owner, data) => {
+    const response = await ctx.api.post('/channels', data, ctx.authHeaders(owner));
+    assert.equal(response.status, 201);
+    return response.data;
+  };
+
+  // Whether one of the user's sockets is in the channel's room
+  const inRoom = async (channel, user) => {
+    const sockets = await ctx.io.in(Channel.roomName(channel._id)).fetchSockets();
+    return sockets.some(socket => socket.rooms.has(user._id));
+  };
+
+  describe('POST /channels', () => {
+    it('refuses names that are not strings', async () => {
+      for (const name of [42, { $gt: '' }, ['general']]) {
+        const response = await ctx.api.post('/channels', { name }, ctx.authHeaders(alice));
+        assert.equal(response.status, 400);
+        assert.equal(response.data.message, 'Please provide a channel name');
+      }
+    });
+  });
+
+  describe('POST /channels/:id/members', () => {
+    it('lets owners add members to a private channel', async () => {
+      const channel = await createChannel(alice, { name: 'secret', isPrivate: true });
+      const bobSocket = await ctx.connect(bob);
+      const added = waitFor(bobSocket, 'addedToChannel', ({ _id }) => _id === channel._id);
+
+      const response = await ctx.api.post(`/channels/${channel._id}/members`, { username: bob.username }, ctx.authHeaders(alice));
+      assert.equal(response.status, 200);
+      assert.equal(response.data.memberCount, 2);
+      assert.equal((await added).isMember, true);
+      assert.equal(await inRoom(channel, bob), true);
+
+      const listed = await ctx.api.get('/channels', ctx.authHeaders(bob));
+      assert.ok(listed.data.some(found => found._id === channel._id));
+    });
+
+    it('refuses members who are not owners', async () => {
+      const carol = await ctx.register('carol');
+      const channel = await createChannel(alice, { name: 'general' });
+      await ctx.api.post(`/channels/${channel._id}/join`, {}, ctx.authHeaders(bob));
+
+      const response = await ctx.api.post(`/channels/${channel._id}/members`, { username: carol.username }, ctx.authHeaders(bob));
+      assert.equal(response.status, 403);
+    });
+
+    it('hides private channels from non-members', async () => {
+      const channel = await createChannel(alice, { name: 'secret', isPrivate: true });
+
+      const response = await ctx.api.post(`/channels/${channel._id}/members`, { username: bob.username }, ctx.authHeaders(bob));
+      assert.equal(response.status, 404);
+    });
+
+    it('answers 404 for unknown users', async () => {
+      const channel = await createChannel(alice, { name: 'secret', isPrivate: true });
+
+      const response = await ctx.api.post(`/channels/${channel._id}/members`, { username: 'nobody' }, ctx.authHeaders(alice));
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('POST /channels/:id/leave', () => {
+    it('stops delivering the channel to the user\'s sockets', async () => {
+      const channel = await createChannel(alice, { name: 'general' });
+      await ctx.api.post(`/channels/${channel._id}/join`, {}, ctx.authHeaders(bob));
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      await waitUntil(() => inRoom(channel, bob));
+
+      const response = await ctx.api.post(`/channels/${channel._id}/leave`, {}, ctx.authHeaders(bob));
+      assert.equal(response.status, 200);
+      assert.equal(response.data.isMember, false);
+      assert.equal(await inRoom(channel, bob), false);
+
+      const received = collect(bobSocket, 'newMessage');
+      await sendMessage(aliceSocket, { content: 'still there?', channelId: channel._id, clientId: 'client-msg-1' });
+      assert.deepEqual(await received, []);
+    });
+  });
+});
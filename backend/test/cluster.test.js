@@ -0,0 +1,65 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestCluster, waitFor, sendMessage } = require('./helpers');
+
+// Two instances sharing broadcasts through the mongo pub/sub adapter and
+// presence through the mongo presence store
+describe('several instances', () => {
+  let ctx;
+  let first;
+  let second;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestCluster(2);
+    [first, second] = ctx.instances;
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await ctx.register('alice');
+    bob = await ctx.register('bob');
+  });
+
+  it('delivers broadcasts to clients of the other instance', async () => {
+    const aliceSocket = await first.connect(alice);
+    const bobSocket = await second.connect(bob);
+
+    const delivered = waitFor(bobSocket, 'newMessage', msg => msg.content === 'hello from the first instance');
+    const ack = await sendMessage(aliceSocket, { content: 'hello from the first instance', clientId: 'client-msg-1' });
+    assert.ok(ack.message);
+    assert.equal((await delivered).sender._id, alice._id);
+  });
+
+  it('delivers direct messages to the recipient on the other instance', async () => {
+    const aliceSocket = await first.connect(alice);
+    const bobSocket = await second.connect(bob);
+
+    const delivered = waitFor(bobSocket, 'newMessage', msg => msg.content === 'just for you');
+    await sendMessage(aliceSocket, { content: 'just for you', recipientId: bob._id, clientId: 'client-msg-2' });
+    assert.equal((await delivered).recipient._id, bob._id);
+  });
+
+  it('shares presence between instances', async () => {
+    const listsAlice = users => users.some(presence => presence.id === alice._id);
+    const bobSocket = await second.connect(bob);
+
+    const online = waitFor(bobSocket, 'activeUsers', listsAlice);
+    const aliceSocket = await first.connect(alice);
+    const users = await online;
+    assert.ok(users.some(presence => presence.id === bob._id));
+
+    // Either instance answers with both users
+    const health = await fetch(`${first.baseUrl}/health`).then(response => response.json());
+    assert.equal(health.activeUsers, 2);
+
+    const offline = waitFor(bobSocket, 'userOffline', ({ id }) => id === alice._id);
+    aliceSocket.disconnect();
+    assert.ok((await offline).lastSeen);
+  });
+});
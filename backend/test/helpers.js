@@ -0,0 +1,184 @@
+// Shared setup for the integration tests: the real app and Socket.io server
+// on a random port, or several of them sharing pub/sub and presence, backed
+// by an in-memory MongoDB
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.PUSH_SENDER = 'memory';
+
+const { MongoMemoryServer, MongoMemoryReplSet } = require('mongodb-memory-server');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const { io: connectClient } = require('socket.io-client');
+
+const EVENT_TIMEOUT_MS = 2000;
+const CLUSTER_READY_TIMEOUT_MS = 10000;
+
+let userCount = 0;
+
+// Build one server on a random port, with an HTTP client and a socket
+// connector bound to it. Connected sockets are added to `sockets`.
+const startInstance = async (sockets) => {
+  const { createServer } = require('../server');
+  const { server, io } = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // Resolve for every status so tests can check errors
+  const api = axios.create({ baseURL: `${baseUrl}/api`, validateStatus: () => true });
+
+  // Connect a socket as a user; resolves once connected
+  const connect = (user) => new Promise((resolve, reject) => {
+    const socket = connectClient(baseUrl, {
+      auth: { token: user.token },
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true
+    });
+    sockets.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  return { baseUrl, api, io, connect };
+};
+
+// Helpers shared by a single server and a cluster: registering users
+// through `api`, and emptying the database between tests
+const sharedHelpers = (api, sockets) => {
+  // Register a user with a unique name; resolves with the profile and tokens
+  const register = async (name = 'user') => {
+    userCount += 1;
+    const username = `${name}${userCount}`.slice(0, 20);
+    const response = await api.post('/auth/register', {
+      username,
+      email: `${username}@example.com`,
+      password: 'password123'
+    });
+    if (response.status !== 201) {
+      throw new Error(`Could not register ${username}: ${response.data.message}`);
+    }
+    return response.data;
+  };
+
+  const authHeaders = (user) => ({ headers: { Authorization: `Bearer ${user.token}` } });
+
+  // Empty every collection but keep their indexes
+  const reset = async () => {
+    sockets.splice(0).forEach(socket => socket.disconnect());
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+  };
+
+  return { register, authHeaders, reset };
+};
+
+// Start the server and return helpers bound to it. Call stop() when done.
+const startTestServer = async () => {
+  const mongo = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongo.getUri();
+  await mongoose.connect(mongo.getUri());
+  const { closeSocketServer } = require('../socket');
+  const sockets = [];
+  const { baseUrl, api, io, connect } = await startInstance(sockets);
+
+  const stop = async () => {
+    sockets.splice(0).forEach(socket => socket.disconnect());
+    await closeSocketServer(io);
+    await mongoose.disconnect();
+    await mongo.stop();
+  };
+
+  return { baseUrl, api, io, connect, ...sharedHelpers(api, sockets), stop };
+};
+
+// Start `size` servers that share broadcasts through the mongo pub/sub
+// adapter and presence through the mongo presence store, like instances
+// behind a load balancer. Change streams need a replica set, so MongoDB
+// runs as a single-node one. Resolves with { instances, ... } where each
+// instance has its own baseUrl, api, io and connect.
+const startTestCluster = async (size = 2) => {
+  const mongo = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  process.env.MONGODB_URI = mongo.getUri();
+  process.env.PUBSUB_ADAPTER = 'mongo';
+  process.env.PRESENCE_STORE = 'mongo';
+  await mongoose.connect(mongo.getUri());
+  const { closeSocketServer } = require('../socket');
+  const { attachPubSub } = require('../pubsub');
+  const { getPresenceStore } = require('../presence');
+  const sockets = [];
+
+  const instances = [];
+  for (let i = 0; i < size; i += 1) {
+    const instance = await startInstance(sockets);
+    instance.closePubSub = await attachPubSub(instance.io);
+    instances.push(instance);
+  }
+
+  // Wait until each instance hears from the others, so no broadcast is
+  // lost while the change streams open
+  for (const target of instances) {
+    let heard = false;
+    target.io.on('clusterPing', () => {
+      heard = true;
+    });
+    await waitUntil(() => {
+      instances.filter(other => other !== target).forEach(other => other.io.serverSideEmit('clusterPing'));
+      return heard;
+    }, CLUSTER_READY_TIMEOUT_MS);
+  }
+
+  const stop = async () => {
+    sockets.splice(0).forEach(socket => socket.disconnect());
+    for (const { io, closePubSub } of instances) {
+      await closeSocketServer(io);
+      await closePubSub();
+    }
+    await getPresenceStore().close();
+    await mongoose.disconnect();
+    await mongo.stop();
+  };
+
+  return { instances, ...sharedHelpers(instances[0].api, sockets), stop };
+};
+
+// Resolve with the payload of the next `event` matching `predicate`
+const waitFor = (socket, event, predicate = () => true, timeout = EVENT_TIMEOUT_MS) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    const listener = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    socket.on(event, listener);
+  });
+
+// Resolve with every `event` payload received within `ms`
+const collect = (socket, event, ms = 300) => new Promise(resolve => {
+  const received = [];
+  const listener = (payload) => received.push(payload);
+  socket.on(event, listener);
+  setTimeout(() => {
+    socket.off(event, listener);
+    resolve(received);
+  }, ms);
+});
+
+// Resolve once `check` resolves truthy, polling until `timeout`
+const waitUntil = async (check, timeout = EVENT_TIMEOUT_MS) => {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// Send a message and resolve with the server's acknowledgement
+const sendMessage = (socket, data) =>
+  socket.timeout(EVENT_TIMEOUT_MS).emitWithAck('sendMessage', data);
+
+module.exports = { startTestServer, startTestCluster, waitFor, waitUntil, collect, sendMessage };
@@ -0,0 +1,138 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, waitFor, collect } = require('./helpers');
+const Message = require('../models/Message');
+
+// Save messages a second apart, oldest first
+const seedMessages = (count, fields) => {
+  const start = Date.now() - count * 1000;
+  return Message.insertMany(Array.from({ length: count }, (_, index) => ({
+    content: `message ${index + 1}`,
+    timestamp: new Date(start + index * 1000),
+    ...fields
+  })));
+};
+
+describe('message routes', () => {
+  let ctx;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await ctx.register('alice');
+    bob = await ctx.register('bob');
+  });
+
+  describe('GET /messages', () => {
+    it('needs a token', async () => {
+      const response = await ctx.api.get('/messages');
+      assert.equal(response.status, 401);
+    });
+
+    it('returns the newest page of the global chat, oldest first', async () => {
+      await seedMessages(5, { sender: alice._id });
+
+      const response = await ctx.api.get('/messages?limit=3', ctx.authHeaders(bob));
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.data.messages.map(msg => msg.content), ['message 3', 'message 4', 'message 5']);
+      assert.equal(response.data.hasMore, true);
+      assert.equal(response.data.messages[0].sender.username, alice.username);
+    });
+
+    it('pages towards older messages with the before cursor', async () => {
+      await seedMessages(5, { sender: alice._id });
+      const first = await ctx.api.get('/messages?limit=3', ctx.authHeaders(bob));
+
+      const response = await ctx.api.get(
+        `/messages?limit=3&before=${first.data.cursors.before}`,
+        ctx.authHeaders(bob)
+      );
+      assert.deepEqual(response.data.messages.map(msg => msg.content), ['message 1', 'message 2']);
+      assert.equal(response.data.hasMore, false);
+    });
+
+    it('refuses an invalid cursor', async () => {
+      const response = await ctx.api.get('/messages?before=nonsense', ctx.authHeaders(bob));
+      assert.equal(response.status, 400);
+    });
+
+    it('leaves out direct messages and thread replies', async () => {
+      const [parent] = await seedMessages(1, { sender: alice._id });
+      await Message.create({ sender: alice._id, recipient: bob._id, content: 'just for bob' });
+      await Message.create({ sender: bob._id, parentId: parent._id, content: 'a reply' });
+
+      const response = await ctx.api.get('/messages', ctx.authHeaders(bob));
+      assert.deepEqual(response.data.messages.map(msg => msg.content), ['message 1']);
+    });
+  });
+
+  describe('GET /messages/direct/:userId', () => {
+    it('returns both sides of the conversation only', async () => {
+      const carol = await ctx.register('carol');
+      await Message.create({ sender: alice._id, recipient: bob._id, content: 'hi bob', timestamp: new Date(Date.now() - 2000) });
+      await Message.create({ sender: bob._id, recipient: alice._id, content: 'hi alice', timestamp: new Date(Date.now() - 1000) });
+      await Message.create({ sender: carol._id, recipient: bob._id, content: 'hi from carol' });
+
+      const response = await ctx.api.get(`/messages/direct/${bob._id}`, ctx.authHeaders(alice));
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.data.messages.map(msg => msg.content), ['hi bob', 'hi alice']);
+    });
+  });
+
+  describe('PUT /messages/:id', () => {
+    it('edits the sender\'s own message', async () => {
+      const [message] = await seedMessages(1, { sender: alice._id });
+
+      const response = await ctx.api.put(`/messages/${message._id}`, { content: 'edited' }, ctx.authHeaders(alice));
+      assert.equal(response.status, 200);
+      assert.equal(response.data.content, 'edited');
+      assert.ok(response.data.editedAt);
+    });
+
+    it('refuses to edit someone else\'s message', async () => {
+      const [message] = await seedMessages(1, { sender: alice._id });
+
+      const response = await ctx.api.put(`/messages/${message._id}`, { content: 'hijacked' }, ctx.authHeaders(bob));
+      assert.equal(response.status, 403);
+      assert.equal((await Message.findById(message._id)).content, 'message 1');
+    });
+
+    it('does not send the edit to users who blocked the sender', async () => {
+      const carol = await ctx.register('carol');
+      const [message] = await seedMessages(1, { sender: alice._id });
+      await ctx.api.post(`/users/${alice._id}/block`, {}, ctx.authHeaders(bob));
+      const bobSocket = await ctx.connect(bob);
+      const carolSocket = await ctx.connect(carol);
+      const bobReceived = collect(bobSocket, 'messageEdited');
+      const carolReceived = waitFor(carolSocket, 'messageEdited');
+
+      await ctx.api.put(`/messages/${message._id}`, { content: 'edited' }, ctx.authHeaders(alice));
+
+      assert.equal((await carolReceived).content, 'edited');
+      assert.deepEqual(await bobReceived, []);
+    });
+  });
+
+  describe('DELETE /messages/:id', () => {
+    it('leaves a tombstone in the history', async () => {
+      const [message] = await seedMessages(1, { sender: alice._id });
+
+      const response = await ctx.api.delete(`/messages/${message._id}`, ctx.authHeaders(alice));
+      assert.equal(response.status, 200);
+
+      const history = await ctx.api.get('/messages', ctx.authHeaders(bob));
+      assert.equal(history.data.messages.length, 1);
+      assert.equal(history.data.messages[0].content, '');
+      assert.ok(history.data.messages[0].deletedAt);
+    });
+  });
+});
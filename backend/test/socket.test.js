@@ -0,0 +1,286 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, waitFor, collect, sendMessage } = require('./helpers');
+const Message = require('../models/Message');
+const User = require('../models/User');
+
+describe('socket handlers', () => {
+  let ctx;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await ctx.register('alice');
+    bob = await ctx.register('bob');
+  });
+
+  describe('authentication', () => {
+    it('refuses connections without a token', async () => {
+      await assert.rejects(ctx.connect({ token: undefined }), /No token provided/);
+    });
+
+    it('refuses connections with an invalid token', async () => {
+      await assert.rejects(ctx.connect({ token: 'not-a-token' }), /Invalid token/);
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('saves a message and broadcasts it to everyone', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      const received = waitFor(bobSocket, 'newMessage');
+      const echoed = waitFor(aliceSocket, 'newMessage');
+
+      const ack = await sendMessage(aliceSocket, { content: 'hello everyone', clientId: 'client-msg-1' });
+      assert.equal(ack.message.content, 'hello everyone');
+      assert.equal(ack.message.clientId, 'client-msg-1');
+
+      const message = await received;
+      assert.equal(message._id, ack.message._id);
+      assert.equal(message.sender.username, alice.username);
+      assert.equal((await echoed)._id, ack.message._id);
+      assert.equal(await Message.countDocuments({ content: 'hello everyone' }), 1);
+    });
+
+    it('saves a retried clientId once', async () => {
+      const aliceSocket = await ctx.connect(alice);
+
+      const first = await sendMessage(aliceSocket, { content: 'only once', clientId: 'client-msg-2' });
+      const retry = await sendMessage(aliceSocket, { content: 'only once', clientId: 'client-msg-2' });
+      assert.equal(retry.message._id, first.message._id);
+      assert.equal(await Message.countDocuments({ content: 'only once' }), 1);
+    });
+
+    it('refuses empty messages', async () => {
+      const aliceSocket = await ctx.connect(alice);
+
+      const ack = await sendMessage(aliceSocket, { content: '   ', clientId: 'client-msg-3' });
+      assert.ok(ack.error);
+      assert.equal(await Message.countDocuments(), 0);
+    });
+
+    it('delivers direct messages to the recipient only', async () => {
+      const carol = await ctx.register('carol');
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      const carolSocket = await ctx.connect(carol);
+      const carolReceived = collect(carolSocket, 'newMessage');
+      const bobReceived = waitFor(bobSocket, 'newMessage');
+
+      await sendMessage(aliceSocket, { content: 'just for bob', recipientId: bob._id, clientId: 'client-msg-4' });
+
+      const message = await bobReceived;
+      assert.equal(message.content, 'just for bob');
+      assert.equal(message.recipient.username, bob.username);
+      assert.deepEqual(await carolReceived, []);
+    });
+  });
+
+  describe('typing', () => {
+    it('tells others, but not the typist, in the global chat', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      const aliceReceived = collect(aliceSocket, 'userTyping');
+      const bobReceived = waitFor(bobSocket, 'userTyping');
+
+      aliceSocket.emit('typing', {});
+
+      const typing = await bobReceived;
+      assert.equal(typing.username, alice.username);
+      assert.equal(typing.userId, alice._id);
+      assert.deepEqual(await aliceReceived, []);
+    });
+
+    it('keeps typing in a direct conversation between its participants', async () => {
+      const carol = await ctx.register('carol');
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      const carolSocket = await ctx.connect(carol);
+      const carolReceived = collect(carolSocket, 'userTyping');
+      const bobReceived = waitFor(bobSocket, 'userTyping');
+
+      aliceSocket.emit('typing', { recipientId: bob._id });
+
+      assert.equal((await bobReceived).direct, true);
+      assert.deepEqual(await carolReceived, []);
+
+      const stopped = waitFor(bobSocket, 'userStopTyping');
+      aliceSocket.emit('stopTyping', { recipientId: bob._id });
+      assert.equal((await stopped).username, alice.username);
+    });
+  });
+
+  describe('presence', () => {
+    const listsUser = (user) => (users) => users.some(presence => presence.id === user._id);
+
+    it('announces users who come online', async () => {
+      const bobSocket = await ctx.connect(bob);
+      const announced = waitFor(bobSocket, 'activeUsers', listsUser(alice));
+
+      await ctx.connect(alice);
+
+      const users = await announced;
+      assert.ok(listsUser(bob)(users));
+    });
+
+    it('keeps a user online until their last socket disconnects', async () => {
+      const bobSocket = await ctx.connect(bob);
+      const firstTab = await ctx.connect(alice);
+      await waitFor(firstTab, 'statusChanged');
+      const secondTab = await ctx.connect(alice);
+      await waitFor(secondTab, 'statusChanged');
+
+      const offlineEvents = collect(bobSocket, 'userOffline');
+      firstTab.disconnect();
+      assert.deepEqual(await offlineEvents, []);
+
+      const offline = waitFor(bobSocket, 'userOffline', ({ id }) => id === alice._id);
+      secondTab.disconnect();
+      assert.ok((await offline).lastSeen);
+      assert.ok((await User.findById(alice._id)).lastSeen);
+    });
+
+    it('hides invisible users from the active list', async () => {
+      const bobSocket = await ctx.connect(bob);
+      const aliceSocket = await ctx.connect(alice);
+      await waitFor(bobSocket, 'activeUsers', listsUser(alice));
+
+      const hidden = waitFor(bobSocket, 'activeUsers', users => !listsUser(alice)(users));
+      const ownStatus = waitFor(aliceSocket, 'statusChanged', ({ status }) => status === 'invisible');
+      aliceSocket.emit('setStatus', { status: 'invisible' });
+
+      await hidden;
+      await ownStatus;
+      assert.equal((await User.findById(alice._id)).status, 'invisible');
+    });
+  });
+
+  describe('reactions', () => {
+    it('does not tell users who blocked the reactor', async () => {
+      const carol = await ctx.register('carol');
+      const [message] = await Message.insertMany([{ content: 'react to me', sender: carol._id }]);
+      await ctx.api.post(`/users/${alice._id}/block`, {}, ctx.authHeaders(bob));
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      const carolSocket = await ctx.connect(carol);
+      const bobReceived = collect(bobSocket, 'reactionUpdated');
+      const carolReceived = waitFor(carolSocket, 'reactionUpdated');
+
+      aliceSocket.emit('addReaction', { messageId: message._id.toString(), emoji: '👍' });
+
+      assert.deepEqual((await carolReceived).reactions, [{ emoji: '👍', userIds: [alice._id] }]);
+      assert.deepEqual(await bobReceived, []);
+    });
+
+    it('refuses malformed requests', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      for (const event of ['addReaction', 'removeReaction']) {
+        const refused = waitFor(aliceSocket, 'error', ({ message }) => message === 'Invalid reaction');
+        aliceSocket.emit(event, null);
+        await refused;
+      }
+    });
+  });
+
+  describe('markRead', () => {
+    it('refuses a malformed request', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      const refused = waitFor(aliceSocket, 'error', ({ message }) => message === 'Invalid message');
+      aliceSocket.emit('markRead', null);
+      await refused;
+    });
+  });
+
+  describe('channels', () => {
+    it('refuses malformed join and leave requests', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      const refused = waitFor(aliceSocket, 'error', ({ message }) => message === 'Invalid channel');
+      aliceSocket.emit('joinChannel', null);
+      await refused;
+
+      aliceSocket.emit('leaveChannel', null);
+      // Still connected and served
+      const { cursor } = await aliceSocket.timeout(2000).emitWithAck('sync', {});
+      assert.ok(cursor);
+    });
+  });
+
+  describe('setStatus', () => {
+    it('refuses a malformed request', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      const refused = waitFor(aliceSocket, 'error', ({ message }) => message === 'Invalid status');
+      aliceSocket.emit('setStatus', null);
+      await refused;
+    });
+  });
+
+  describe('sync', () => {
+    it('replays messages sent while a client was away', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      let bobSocket = await ctx.connect(bob);
+      const { cursor } = await bobSocket.timeout(2000).emitWithAck('sync', {});
+      bobSocket.disconnect();
+
+      await sendMessage(aliceSocket, { content: 'while you were out', clientId: 'client-msg-5' });
+
+      bobSocket = await ctx.connect(bob);
+      const response = await bobSocket.timeout(2000).emitWithAck('sync', { since: cursor });
+      assert.deepEqual(response.messages.map(msg => msg.content), ['while you were out']);
+      assert.ok(response.cursor);
+    });
+
+    it('asks for a reload after a long gap', async () => {
+      const bobSocket = await ctx.connect(bob);
+      const since = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+
+      const response = await bobSocket.timeout(2000).emitWithAck('sync', { since });
+      assert.equal(response.reset, true);
+    });
+
+    it('only replays the conversations the client is in and the open thread', async () => {
+      const aliceSocket = await ctx.connect(alice);
+      const bobSocket = await ctx.connect(bob);
+      const { cursor } = await bobSocket.timeout(2000).emitWithAck('sync', {});
+
+      const channel = await ctx.api.post('/channels', { name: 'elsewhere' }, ctx.authHeaders(alice));
+      await sendMessage(aliceSocket, { content: 'not for bob', channelId: channel.data._id, clientId: 'client-msg-6' });
+      const parent = await sendMessage(aliceSocket, { content: 'start a thread', clientId: 'client-msg-7' });
+      await sendMessage(aliceSocket, { content: 'in the thread', parentId: parent.message._id, clientId: 'client-msg-8' });
+
+      const response = await bobSocket.timeout(2000).emitWithAck('sync', { since: cursor });
+      assert.deepEqual(response.messages.map(msg => msg.content), ['start a thread']);
+
+      const withThread = await bobSocket.timeout(2000).emitWithAck('sync', { since: cursor, threadId: parent.message._id });
+      assert.deepEqual(withThread.messages.map(msg => msg.content).sort(), ['in the thread', 'start a thread']);
+    });
+
+    it('is rate limited', async () => {
+      const bobSocket = await ctx.connect(bob);
+
+      const responses = await Promise.all(
+        Array.from({ length: 11 }, () => bobSocket.timeout(2000).emitWithAck('sync', {}))
+      );
+      assert.equal(responses.filter(response => response.code === 'rateLimited').length, 1);
+    });
+
+    it('answers malformed requests with an error', async () => {
+      const bobSocket = await ctx.connect(bob);
+
+      assert.deepEqual(await bobSocket.timeout(2000).emitWithAck('sync', null), { error: 'Invalid sync request' });
+      assert.deepEqual(await bobSocket.timeout(2000).emitWithAck('sync', { since: 'yesterday' }), { error: 'Invalid sync cursor' });
+      assert.deepEqual(await bobSocket.timeout(2000).emitWithAck('sync', { threadId: 'nope' }), { error: 'Invalid thread' });
+      // Still connected and served
+      const response = await bobSocket.timeout(2000).emitWithAck('sync', {});
+      assert.deepEqual(response.messages, []);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const Channel = require('../models/Channel');
+
+// Check whether a user may read a message: everyone can read the global chat
+// and public channels, direct messages only their two participants and
+// private channels only their members
+const canReadMessage = async (message, userId) => {
+  const id = userId.toString();
+
+  if (message.recipient) {
+    const senderId = (message.sender._id || message.sender).toString();
+    const recipientId = (message.recipient._id || message.recipient).toString();
+    return senderId === id || recipientId === id;
+  }
+
+  if (message.channel) {
+    const channel = await Channel.findById(message.channel._id || message.channel);
+    return Boolean(channel) && (!channel.isPrivate || channel.isMember(id));
+  }
+
+  return true;
+};
+
+// The global chat, the user's direct messages and the given channels
+const conversationFilter = (userId, channelIds) => ({
+  $or: [
+    { recipient: null, channel: null },
+    { recipient: userId },
+    { sender: userId, recipient: { $ne: null } },
+    { channel: { $in: channelIds } }
+  ]
+});
+
+// Query filter for the messages a user can read: the global chat, their own
+// direct messages and channels that are public or that they belong to
+const readableMessageFilter = async (userId) => {
+  const visibleChannels = await Channel.find({
+    $or: [{ isPrivate: false }, { members: userId }]
+  }).distinct('_id');
+  return conversationFilter(userId, visibleChannels);
+};
+
+// Query filter for the conversations a user receives live: the global chat,
+// their own direct messages and the channels they belong to
+const memberMessageFilter = async (userId) => {
+  const memberChannels = await Channel.find({ members: userId }).distinct('_id');
+  return conversationFilter(userId, memberChannels);
+};
+
+module.exports = { canReadMessage, readableMessageFilter, memberMessageFilter };
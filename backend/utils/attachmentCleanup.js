@@ -0,0 +1,48 @@
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../storage');
+const { logger } = require('./logger');
+
+// Uploads that no message uses after this long are deleted with their
+// files; sendMessage refuses them from then on
+const UNSENT_ATTACHMENT_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Delete the attachments that were never sent and are older than the TTL,
+// and their files. Each record is claimed with findOneAndDelete, so
+// instances sweeping at once don't both handle it. Resolves with how many
+// were deleted.
+const removeUnsentAttachments = async (now = Date.now()) => {
+  const expired = { message: null, createdAt: { $lt: new Date(now - UNSENT_ATTACHMENT_TTL_MS) } };
+  let removed = 0;
+  let batch;
+  do {
+    batch = await Attachment.find(expired).select('_id').limit(BATCH_SIZE);
+    for (const { _id } of batch) {
+      const attachment = await Attachment.findOneAndDelete({ _id, ...expired });
+      if (!attachment) continue;
+      removed += 1;
+      await getStorage().remove(attachment.storageKey).catch(error => {
+        logger.error('Remove attachment file error', { err: error, attachmentId: _id });
+      });
+    }
+  } while (batch.length === BATCH_SIZE);
+  return removed;
+};
+
+// Sweep unsent attachments every hour. Returns a function that stops it.
+const startAttachmentCleanup = () => {
+  const timer = setInterval(async () => {
+    try {
+      const removed = await removeUnsentAttachments();
+      if (removed > 0) logger.info('Removed unsent attachments', { count: removed });
+    } catch (error) {
+      logger.error('Attachment cleanup error', { err: error });
+    }
+  }, CLEANUP_INTERVAL_MS);
+  // Don't keep the process alive just for the cleanup
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = { removeUnsentAttachments, startAttachmentCleanup, UNSENT_ATTACHMENT_TTL_MS };
@@ -0,0 +1,19 @@
+const User = require('../models/User');
+
+// Rooms of the users who blocked `userId` (and, with includeMuters, muted
+// them), for leaving them out of broadcasts with `except`
+const getIgnoringRooms = async (userId, { includeMuters = false } = {}) => {
+  const filter = includeMuters
+    ? { $or: [{ blockedUsers: userId }, { mutedUsers: userId }] }
+    : { blockedUsers: userId };
+  const ids = await User.distinct('_id', filter);
+  return ids.map(id => id.toString());
+};
+
+// Narrow a message query so the user doesn't see messages of users they blocked
+const excludeBlocked = (user, filter) => {
+  if (!user.blockedUsers || user.blockedUsers.length === 0) return filter;
+  return { ...filter, $nor: [{ sender: { $in: user.blockedUsers } }] };
+};
+
+module.exports = { getIgnoringRooms, excludeBlocked };
@@ -0,0 +1,96 @@
+// Leveled logger writing one JSON object per line, or a readable line per
+// entry with the pretty format. Child loggers add fields to every entry,
+// e.g. the request id or socket id.
+//
+// Entries never carry message text or credentials: values under the keys in
+// REDACTED_KEYS are replaced, at any depth.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[redacted]';
+const REDACTED_KEYS = new Set([
+  'content', 'text', 'snippet', 'editHistory',
+  'password', 'currentPassword', 'newPassword',
+  'token', 'accessToken', 'refreshToken', 'jwtSecret', 'secret',
+  'authorization', 'cookie', 'mongoUri', 'smtpUrl', 'p256dh', 'auth', 'vapidPrivateKey'
+]);
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 6;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  // ObjectIds and the like
+  if (typeof value.toHexString === 'function') return value.toString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] = REDACTED_KEYS.has(key) ? REDACTED : redact(item, depth + 1);
+  });
+  return result;
+};
+
+const formatPretty = ({ time, level, msg, err, ...fields }) => {
+  let line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}`;
+  if (Object.keys(fields).length > 0) line += ` ${JSON.stringify(fields)}`;
+  if (err) line += `\n${err.stack || `${err.name}: ${err.message}`}`;
+  return line;
+};
+
+class Logger {
+  // options is shared with every child, so configure() reaches loggers
+  // created before it ran
+  constructor(options, bindings = {}) {
+    this.options = options;
+    this.bindings = bindings;
+  }
+
+  child(bindings) {
+    return new Logger(this.options, { ...this.bindings, ...bindings });
+  }
+
+  configure({ level, format, stream } = {}) {
+    if (level) this.options.level = level;
+    if (format) this.options.format = format;
+    if (stream) this.options.stream = stream;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.options.level];
+  }
+
+  // fields may be an Error, logged as err
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact(this.bindings),
+      ...redact(fields instanceof Error ? { err: fields } : fields)
+    };
+    const line = this.options.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    this.options.stream.write(`${line}\n`);
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+// Until createServer applies LOG_LEVEL and LOG_FORMAT from the config
+const logger = new Logger({ level: 'info', format: 'json', stream: process.stdout });
+
+module.exports = { logger, Logger, LEVELS, redact };
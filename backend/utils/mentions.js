@@ -0,0 +1,51 @@
+const User = require('../models/User');
+const { canReadMessage } = require('./access');
+const { pushToOfflineUsers } = require('./pushNotifications');
+const { logger } = require('./logger');
+
+// @username, not part of an email address or another word
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]{3,20})/g;
+
+// Usernames mentioned in some content, without duplicates. Trailing dots and
+// dashes are treated as punctuation ("thanks @alice.").
+const extractMentionNames = (content) => {
+  const names = new Set();
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(/[.-]+$/, '');
+    if (name.length >= 3) names.add(name.toLowerCase());
+  }
+  return [...names];
+};
+
+// Ids of the users a message mentions who can read it. The sender, deleted
+// users and users who blocked the sender are left out.
+const resolveMentions = async (message, senderId) => {
+  const names = extractMentionNames(message.content);
+  if (names.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: names },
+    _id: { $ne: senderId },
+    deletedAt: null,
+    blockedUsers: { $ne: senderId }
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .select('_id');
+
+  const readable = await Promise.all(users.map(user => canReadMessage(message, user._id)));
+  return users.filter((user, index) => readable[index]).map(user => user._id);
+};
+
+// Tell mentioned users about a message in their personal rooms, and with a
+// push notification when they are offline
+const notifyMentions = (io, userIds, messageData) => {
+  if (userIds.length === 0) return;
+  if (io) {
+    io.to(userIds.map(id => id.toString())).emit('mentioned', { message: messageData });
+  }
+  pushToOfflineUsers(userIds, messageData, { mention: true }).catch(error => {
+    logger.error('Mention push error', { err: error });
+  });
+};
+
+module.exports = { extractMentionNames, resolveMentions, notifyMentions };
@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const Channel = require('../models/Channel');
+const { sendPush } = require('../push');
+const { getPresenceStore } = require('../presence');
+
+const MAX_PREVIEW_LENGTH = 120;
+
+const previewOf = (messageData) => {
+  const content = messageData.content || '';
+  if (content) {
+    return content.length > MAX_PREVIEW_LENGTH ? `${content.slice(0, MAX_PREVIEW_LENGTH - 1)}…` : content;
+  }
+  const count = messageData.attachments?.length || 0;
+  return count === 1 ? 'Sent an attachment' : `Sent ${count} attachments`;
+};
+
+// Notification for a direct message or a mention. The tag groups
+// notifications per conversation on the device.
+const buildPayload = async (messageData, { mention }) => {
+  const sender = messageData.sender;
+  const name = sender.displayName || sender.username;
+  let title = name;
+  if (mention) {
+    const channel = messageData.channel && await Channel.findById(messageData.channel).select('name');
+    title = channel ? `${name} mentioned you in #${channel.name}` : `${name} mentioned you`;
+  }
+
+  let tag = 'global';
+  if (messageData.channel) tag = `channel:${messageData.channel}`;
+  else if (messageData.recipient) tag = `direct:${sender._id}`;
+
+  return {
+    title,
+    body: previewOf(messageData),
+    tag,
+    url: '/',
+    messageId: messageData._id
+  };
+};
+
+// Push a message to those of the users who have no socket connected and
+// would miss it otherwise. Users who muted the sender are skipped.
+const pushToOfflineUsers = async (userIds, messageData, { mention = false } = {}) => {
+  const onlineIds = new Set(await getPresenceStore().onlineUserIds(userIds));
+  const offlineIds = userIds.map(id => id.toString()).filter(id => !onlineIds.has(id));
+  if (offlineIds.length === 0) return;
+
+  const recipients = await User.find({
+    _id: { $in: offlineIds },
+    mutedUsers: { $ne: messageData.sender._id }
+  }).distinct('_id');
+  if (recipients.length === 0) return;
+
+  await sendPush(recipients, await buildPayload(messageData, { mention }));
+};
+
+module.exports = { pushToOfflineUsers };
@@ -0,0 +1,20 @@
+const Channel = require('../models/Channel');
+
+// Emit an event to everyone who can see a message: both participants of a
+// direct message, the members of a channel, or everyone for the global chat.
+// Works with both formatted messages and unpopulated documents. Rooms in
+// `except` (e.g. users who blocked the sender) are left out.
+const emitToConversation = (io, message, event, payload, { except = [] } = {}) => {
+  const target = except.length ? io.except(except) : io;
+  if (message.recipient) {
+    target.to((message.sender._id || message.sender).toString())
+      .to((message.recipient._id || message.recipient).toString())
+      .emit(event, payload);
+  } else if (message.channel) {
+    target.to(Channel.roomName(message.channel._id || message.channel)).emit(event, payload);
+  } else {
+    target.emit(event, payload);
+  }
+};
+
+module.exports = { emitToConversation };
@@ -0,0 +1,37 @@
+const User = require('../models/User');
+
+// A message as sent to clients, by both the REST API and Socket.io. Takes
+// documents or lean objects with sender, recipient and lastReplyBy
+// populated. Deleted messages are sent as tombstones.
+const formatMessage = (msg) => ({
+  _id: msg._id,
+  clientId: msg.clientId || null,
+  sender: User.toSummary(msg.sender),
+  recipient: User.toSummary(msg.recipient),
+  channel: msg.channel || null,
+  parentId: msg.parentId || null,
+  replyCount: msg.replyCount || 0,
+  lastReplyAt: msg.lastReplyAt || null,
+  lastReplyBy: User.toSummary(msg.lastReplyBy),
+  content: msg.deletedAt ? '' : msg.content,
+  timestamp: msg.timestamp,
+  editedAt: msg.editedAt || null,
+  deletedAt: msg.deletedAt || null,
+  updatedAt: msg.updatedAt || msg.timestamp,
+  attachments: msg.deletedAt ? [] : (msg.attachments || []).map(attachment => ({
+    _id: attachment._id,
+    name: attachment.name,
+    size: attachment.size,
+    type: attachment.type,
+    url: attachment.url,
+    width: attachment.width || null,
+    height: attachment.height || null
+  })),
+  mentions: msg.deletedAt ? [] : (msg.mentions || []),
+  reactions: (msg.reactions || []).map(reaction => ({
+    emoji: reaction.emoji,
+    userIds: reaction.userIds
+  }))
+});
+
+module.exports = { formatMessage };
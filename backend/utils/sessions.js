@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const PushSubscription = require('../models/PushSubscription');
+const { logger } = require('./logger');
+const { getConfig } = require('../config');
+
+// How long a just-rotated refresh token is still recognised (without being
+// accepted) so concurrent refreshes from several tabs don't revoke the session
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + getConfig().refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT tied to a session, checked by protect and verifySocketToken
+const generateAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user._id, username: user.username, sid: sessionId }, getConfig().jwtSecret, {
+    expiresIn: getConfig().accessTokenTtl
+  });
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+// Sign a user in on a new device
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip || '',
+    expiresAt: refreshExpiry()
+  });
+  const { refreshToken, tokenHash } = generateRefreshToken(session._id);
+  session.tokenHash = tokenHash;
+  await session.save();
+
+  return { session, token: generateAccessToken(user, session._id), refreshToken };
+};
+
+// Exchange a refresh token for a new access and refresh token. Resolves with
+// null when the token is invalid. Presenting an old token again means it was
+// copied, so the session is revoked.
+const rotateSession = async (io, refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId).populate('user', 'username _id');
+  if (!session || !session.isActive() || !session.user) return null;
+
+  if (session.tokenHash !== parsed.secretHash) {
+    const recentlyRotated = session.previousTokenHash === parsed.secretHash &&
+      session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+    if (!recentlyRotated) {
+      logger.warn('Refresh token reuse detected, revoking session', { sessionId: session._id, userId: session.user._id });
+      await revokeSessions(io, { _id: session._id });
+    }
+    return null;
+  }
+
+  const { refreshToken: nextRefreshToken, tokenHash } = generateRefreshToken(session._id);
+  // Only rotate if no concurrent refresh got there first
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: parsed.secretHash },
+    {
+      $set: {
+        tokenHash,
+        previousTokenHash: parsed.secretHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    }
+  );
+  if (!rotated) return null;
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+// Find the session a refresh token belongs to, accepting a just-rotated token
+const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) return null;
+  if (session.tokenHash !== parsed.secretHash && session.previousTokenHash !== parsed.secretHash) {
+    return null;
+  }
+  return session;
+};
+
+// Check that an access token's session has not been revoked
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session) && session.isActive();
+};
+
+// Revoke every active session matching `filter` and disconnect their sockets
+const revokeSessions = async (io, filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date() } });
+  // Logged out devices stop getting notifications
+  await PushSubscription.deleteMany({ session: { $in: ids } });
+
+  if (io) {
+    const rooms = ids.map(id => Session.roomName(id));
+    io.to(rooms).emit('sessionRevoked', { message: 'Your session has ended. Please log in again.' });
+    io.in(rooms).disconnectSockets(true);
+  }
+  return ids.length;
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  isSessionActive,
+  revokeSessions
+};
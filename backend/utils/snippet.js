@@ -0,0 +1,58 @@
+// Split a search query into plain terms, dropping negated terms and the
+// quotes used for phrase searches
+const extractTerms = (query) =>
+  String(query)
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.toLowerCase());
+
+// Build a short excerpt of `content` around the first matched term, with the
+// [start, end) offsets of every term occurrence inside the excerpt. Offsets
+// are returned instead of markup so clients can highlight safely.
+const buildSnippet = (content, terms, radius = 60) => {
+  const lower = content.toLowerCase();
+
+  const firstMatch = terms
+    .map(term => lower.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  let start = 0;
+  let end = content.length;
+  if (content.length > radius * 2) {
+    const center = firstMatch === undefined ? 0 : firstMatch;
+    start = Math.max(0, center - radius);
+    end = Math.min(content.length, start + radius * 2);
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  const snippet = prefix + content.slice(start, end) + suffix;
+
+  const highlights = [];
+  const lowerSnippet = snippet.toLowerCase();
+  terms.forEach(term => {
+    let index = lowerSnippet.indexOf(term);
+    while (index !== -1) {
+      highlights.push([index, index + term.length]);
+      index = lowerSnippet.indexOf(term, index + term.length);
+    }
+  });
+
+  // Sort and merge overlapping ranges
+  highlights.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  highlights.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+
+  return { snippet, highlights: merged };
+};
+
+module.exports = { extractTerms, buildSnippet };
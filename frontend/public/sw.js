@@ -0,0 +1,30 @@
+// Service worker for push notifications. The server only pushes while none
+// of the user's tabs are connected, so every push is shown.
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Tubonge', {
+      body: data.body || '',
+      tag: data.tag,
+      // Replace an earlier notification with the same tag, but alert again
+      renotify: Boolean(data.tag),
+      icon: '/vite.svg',
+      data: { url: data.url || '/', messageId: data.messageId }
+    })
+  );
+});
+
+// Focus an open Tubonge tab, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => client.url.startsWith(self.location.origin));
+    if (existing) {
+      await existing.focus();
+    } else {
+      await self.clients.openWindow(url);
+    }
+  })());
+});
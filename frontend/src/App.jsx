@@ -1,29 +1,101 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
+import { authAPI, onSessionExpired } from './utils/api';
+import { forgetPushSubscription } from './utils/push';
 import './App.css';
 
+// Emailed links open the app with ?verify=<token> or ?reset=<token>
+const readEmailLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('verify')) return { type: 'verify', token: params.get('verify') };
+  if (params.get('reset')) return { type: 'reset', token: params.get('reset') };
+  return null;
+};
+
 function App() {
   const [user, setUser] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [emailLink, setEmailLink] = useState(readEmailLink);
+  // Session expiry can be reported after a manual logout; ignore it then
+  const loggedInRef = useRef(false);
+
+  useEffect(() => {
+    loggedInRef.current = Boolean(user);
+  }, [user]);
 
   useEffect(() => {
     const storedUser = localStorage.getItem('user');
     if (storedUser) {
       setUser(JSON.parse(storedUser));
     }
+
+    // The stored session was revoked or expired
+    onSessionExpired(() => {
+      if (!loggedInRef.current) return;
+      loggedInRef.current = false;
+      setNotice('Your session has ended. Please log in again.');
+      setUser(null);
+    });
+    return () => onSessionExpired(null);
   }, []);
 
+  const handleLogin = (userData) => {
+    setNotice('');
+    setUser(userData);
+  };
+
+  // Merge changes into the logged-in user, e.g. after verifying the email
+  const handleUserUpdate = (changes) => {
+    const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+    if (storedUser) {
+      localStorage.setItem('user', JSON.stringify({ ...storedUser, ...changes }));
+    }
+    setUser(current => (current ? { ...current, ...changes } : current));
+  };
+
+  const handleEmailLinkDone = (changes) => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setEmailLink(null);
+    if (changes) handleUserUpdate(changes);
+  };
+
+  // A moderator banned us; the server is ending every session already
+  const handleBanned = (message) => {
+    localStorage.removeItem('user');
+    loggedInRef.current = false;
+    setNotice(message);
+    setUser(null);
+  };
+
   const handleLogout = () => {
+    const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
     localStorage.removeItem('user');
+    loggedInRef.current = false;
     setUser(null);
+    forgetPushSubscription().catch(error => {
+      console.error('❌ Error removing push subscription:', error);
+    });
+    // Revoke the session on the server; logging out locally works regardless
+    if (storedUser?.refreshToken) {
+      authAPI.logout(storedUser.refreshToken).catch(error => {
+        console.error('❌ Error logging out:', error);
+      });
+    }
   };
 
   return (
     <div className="app">
-      {!user ? (
-        <Auth onLogin={setUser} />
+      {!user || emailLink ? (
+        <Auth
+          onLogin={handleLogin}
+          notice={notice}
+          emailLink={emailLink}
+          loggedIn={Boolean(user)}
+          onEmailLinkDone={handleEmailLinkDone}
+        />
       ) : (
-        <Chat user={user} onLogout={handleLogout} />
+        <Chat user={user} onLogout={handleLogout} onUserUpdate={handleUserUpdate} onBanned={handleBanned} />
       )}
     </div>
   );
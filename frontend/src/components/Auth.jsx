@@ -1,15 +1,40 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { authAPI } from '../utils/api';
 
-function Auth({ onLogin }) {
-  const [isLogin, setIsLogin] = useState(true);
+// mode is 'login' or 'register', 'forgot' to request a reset link, or
+// 'reset' / 'verify' when opened from an emailed link
+function Auth({ onLogin, notice, emailLink, loggedIn, onEmailLinkDone }) {
+  const [mode, setMode] = useState(emailLink ? emailLink.type : 'login');
   const [formData, setFormData] = useState({
     username: '',
     email: '',
-    password: ''
+    password: '',
+    confirmPassword: ''
   });
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
+  // Verification tokens are single-use, so only send one request even if
+  // the effect runs twice
+  const verifyRequestedRef = useRef(false);
+
+  const isLogin = mode === 'login';
+
+  useEffect(() => {
+    if (emailLink?.type !== 'verify' || verifyRequestedRef.current) return;
+    verifyRequestedRef.current = true;
+    setLoading(true);
+    authAPI.verifyEmail(emailLink.token)
+      .then(() => setSuccess('Your email address is verified.'))
+      .catch(err => setError(err.response?.data?.message || 'Verification failed'))
+      .finally(() => setLoading(false));
+  }, [emailLink]);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+    setSuccess('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -19,7 +44,11 @@ function Auth({ onLogin }) {
     try {
       const response = isLogin
         ? await authAPI.login({ email: formData.email, password: formData.password })
-        : await authAPI.register(formData);
+        : await authAPI.register({
+          username: formData.username,
+          email: formData.email,
+          password: formData.password
+        });
 
       const userData = response.data;
       localStorage.setItem('user', JSON.stringify(userData));
@@ -31,6 +60,46 @@ function Auth({ onLogin }) {
     }
   };
 
+  const handleForgotSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const response = await authAPI.forgotPassword(formData.email);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(emailLink.token, formData.password);
+      setSuccess(response.data.message);
+      setFormData({ ...formData, password: '', confirmPassword: '' });
+    } catch (err) {
+      setError(err.response?.data?.message || 'An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Leave the emailed link's screen
+  const finishEmailLink = () => {
+    const verified = mode === 'verify' && success;
+    onEmailLinkDone(verified ? { emailVerified: true } : null);
+    switchMode('login');
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -38,35 +107,133 @@ function Auth({ onLogin }) {
     });
   };
 
+  const renderHeader = (subtitle) => (
+    <div className="auth-header">
+      <h1>💬 Tubonge</h1>
+      <p>{subtitle}</p>
+    </div>
+  );
+
+  const renderMessages = () => (
+    <>
+      {notice && !error && !success && <div className="error-message">{notice}</div>}
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+    </>
+  );
+
+  if (mode === 'verify') {
+    return (
+      <div className="auth-container">
+        {renderHeader('Email verification')}
+        {loading && <div className="loading">Verifying your email...</div>}
+        {renderMessages()}
+        {!loading && (
+          <button className="auth-button" onClick={finishEmailLink}>
+            {loggedIn ? 'Continue to chat' : 'Continue to login'}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (mode === 'reset') {
+    return (
+      <div className="auth-container">
+        {renderHeader('Choose a new password')}
+        {renderMessages()}
+        {success ? (
+          <button className="auth-button" onClick={finishEmailLink}>
+            Back to login
+          </button>
+        ) : (
+          <form className="auth-form" onSubmit={handleResetSubmit}>
+            <div className="form-group">
+              <label>New password</label>
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                placeholder="Enter new password"
+                minLength="6"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Confirm password</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                placeholder="Repeat new password"
+                minLength="6"
+              />
+            </div>
+
+            <button type="submit" className="auth-button" disabled={loading}>
+              {loading ? 'Please wait...' : 'Reset password'}
+            </button>
+          </form>
+        )}
+      </div>
+    );
+  }
+
+  if (mode === 'forgot') {
+    return (
+      <div className="auth-container">
+        {renderHeader('Reset your password')}
+        {renderMessages()}
+        {!success && (
+          <form className="auth-form" onSubmit={handleForgotSubmit}>
+            <div className="form-group">
+              <label>Email</label>
+              <input
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                placeholder="Enter your account email"
+              />
+            </div>
+
+            <button type="submit" className="auth-button" disabled={loading}>
+              {loading ? 'Please wait...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+        <button className="auth-link" onClick={() => switchMode('login')}>
+          ← Back to login
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
-      <div className="auth-header">
-        <h1>💬 Tubonge</h1>
-        <p>Connect and chat with anyone, anywhere</p>
-      </div>
+      {renderHeader('Connect and chat with anyone, anywhere')}
 
       <div className="auth-tabs">
         <button
           className={`auth-tab ${isLogin ? 'active' : ''}`}
-          onClick={() => {
-            setIsLogin(true);
-            setError('');
-          }}
+          onClick={() => switchMode('login')}
         >
           Login
         </button>
         <button
           className={`auth-tab ${!isLogin ? 'active' : ''}`}
-          onClick={() => {
-            setIsLogin(false);
-            setError('');
-          }}
+          onClick={() => switchMode('register')}
         >
           Register
         </button>
       </div>
 
-      {error && <div className="error-message">{error}</div>}
+      {renderMessages()}
 
       <form className="auth-form" onSubmit={handleSubmit}>
         {!isLogin && (
@@ -112,9 +279,14 @@ function Auth({ onLogin }) {
           {loading ? 'Please wait...' : isLogin ? 'Login' : 'Register'}
         </button>
       </form>
+
+      {isLogin && (
+        <button className="auth-link" onClick={() => switchMode('forgot')}>
+          Forgot password?
+        </button>
+      )}
     </div>
   );
 }
 
 export default Auth;
-
@@ -0,0 +1,34 @@
+import { assetUrl } from '../utils/api';
+
+const COLORS = ['#667eea', '#f6ad55', '#48bb78', '#ed64a6', '#4299e1', '#9f7aea', '#ed8936', '#38b2ac'];
+
+// Pick a stable color per username for avatars without an image
+const colorFor = (username = '') => {
+  let hash = 0;
+  for (const char of username) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return COLORS[Math.abs(hash) % COLORS.length];
+};
+
+// A user's avatar image, or their initial when they have none
+function Avatar({ user, size = 28 }) {
+  const name = user?.displayName || user?.username || '?';
+  const style = { width: size, height: size };
+
+  if (user?.avatarUrl) {
+    return <img className="avatar" src={assetUrl(user.avatarUrl)} alt={name} style={style} />;
+  }
+
+  return (
+    <span
+      className="avatar avatar-initial"
+      style={{ ...style, background: colorFor(user?.username), fontSize: Math.round(size * 0.45) }}
+      aria-hidden="true"
+    >
+      {name.charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+export default Avatar;
@@ -1,36 +1,263 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { initializeSocket, disconnectSocket } from '../utils/socket';
-import { messageAPI } from '../utils/api';
+import { authAPI, messageAPI, channelAPI, readAPI, userAPI, attachmentAPI } from '../utils/api';
+import SearchPanel from './SearchPanel';
+import MessageReactions from './MessageReactions';
+import ThreadPanel from './ThreadPanel';
+import MessageAttachments from './MessageAttachments';
+import SessionsPanel from './SessionsPanel';
+import ModerationPanel from './ModerationPanel';
+import MentionsPanel from './MentionsPanel';
+import MentionInput from './MentionInput';
+import MentionText from './MentionText';
+import SettingsDialog from './SettingsDialog';
+import PendingMessage from './PendingMessage';
+import Avatar from './Avatar';
+import { loadOutbox, saveOutboxEntry, removeOutboxEntry, createClientId } from '../utils/outbox';
 
-function Chat({ user, onLogout }) {
+const MAX_ATTACHMENTS = 10;
+
+// A conversation is a channel, a direct conversation with another user, or
+// the global chat when neither is selected.
+const matchesConversation = ({ channelId = null, directUserId = null }, conversation) => {
+  if (channelId) {
+    return conversation.channel?._id === channelId;
+  }
+  if (directUserId) {
+    return conversation.user?.id === directUserId;
+  }
+  return !conversation.channel && !conversation.user;
+};
+
+// Name to show for a user
+const displayNameOf = (person) => person?.displayName || person?.username || 'Unknown';
+
+const senderIdOf = (message) => message.sender?._id || message.sender?.id;
+
+// The other participant of a direct message, or null for other messages
+const getDirectUserId = (message, currentUserId) => {
+  const recipientId = message.recipient?._id || message.recipient?.id || null;
+  if (!recipientId) return null;
+  const senderId = senderIdOf(message);
+  return senderId === currentUserId ? recipientId : senderId;
+};
+
+// Check whether a message belongs to the conversation currently on screen
+const belongsToConversation = (message, conversation, currentUserId) => {
+  const directUserId = getDirectUserId(message, currentUserId);
+  return matchesConversation({ channelId: message.channel, directUserId }, conversation);
+};
+
+// Keys match the server's read positions: 'global', 'channel:<id>' or 'direct:<userId>'
+const conversationKey = ({ channelId = null, directUserId = null }) => {
+  if (channelId) return `channel:${channelId}`;
+  if (directUserId) return `direct:${directUserId}`;
+  return 'global';
+};
+
+const formatUnread = (count) => (count > 99 ? '99+' : count);
+
+const STATUS_OPTIONS = ['online', 'away', 'busy', 'invisible'];
+
+// How long to wait for the server to acknowledge a message, and to wait
+// before trying again when it didn't
+const ACK_TIMEOUT_MS = 10000;
+const RETRY_DELAY_MS = 5000;
+
+const laterOf = (a, b) => (!a || new Date(b) > new Date(a) ? b : a);
+
+// Merge messages missed while disconnected into a loaded list: known ones
+// are replaced, new ones inserted in order. Messages older than the loaded
+// page (e.g. an old message edited meanwhile) are left for later pages.
+const mergeMissed = (current, missed) => {
+  if (missed.length === 0) return current;
+  const byId = new Map(missed.map(message => [message._id, message]));
+  const merged = current.map(message => (
+    byId.has(message._id) ? { ...message, ...byId.get(message._id) } : message
+  ));
+  const known = new Set(current.map(message => message._id));
+  const oldest = current[0] ? new Date(current[0].timestamp) : null;
+  const added = missed.filter(message => (
+    !known.has(message._id) && !message.deletedAt && (!oldest || new Date(message.timestamp) >= oldest)
+  ));
+  if (added.length === 0) return merged;
+  return [...merged, ...added].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// "last seen 5m ago" style relative time
+const formatLastSeen = (lastSeen, now) => {
+  if (!lastSeen) return 'offline';
+  const minutes = Math.floor((now - new Date(lastSeen).getTime()) / 60000);
+  if (minutes < 1) return 'last seen just now';
+  if (minutes < 60) return `last seen ${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `last seen ${hours}h ago`;
+  return `last seen ${Math.floor(hours / 24)}d ago`;
+};
+
+// Fetch a page of history for a conversation
+const fetchConversationPage = (conversation, params) => {
+  if (conversation.channel) {
+    return messageAPI.getChannelMessages(conversation.channel._id, params);
+  }
+  if (conversation.user) {
+    return messageAPI.getDirectMessages(conversation.user.id, params);
+  }
+  return messageAPI.getMessages(params);
+};
+
+function Chat({ user, onLogout, onUserUpdate, onBanned }) {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [activeUsers, setActiveUsers] = useState([]);
+  // Every other user with their last seen time, for showing offline users
+  const [knownUsers, setKnownUsers] = useState([]);
+  const [myStatus, setMyStatus] = useState('online');
+  const [now, setNow] = useState(() => Date.now());
   const [typingUser, setTypingUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedUser, setSelectedUser] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [selectedChannel, setSelectedChannel] = useState(null);
+  const [showChannelForm, setShowChannelForm] = useState(false);
+  const [channelForm, setChannelForm] = useState({ name: '', topic: '', isPrivate: false });
+  const [channelError, setChannelError] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false);
+  // Message to open the conversation around, e.g. a clicked search result
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [showModeration, setShowModeration] = useState(false);
+  const [showMentions, setShowMentions] = useState(false);
+  // Mentions that arrived while the mentions panel was closed
+  const [unseenMentions, setUnseenMentions] = useState(0);
+  // Bumped on every mention so an open mentions panel reloads
+  const [mentionsVersion, setMentionsVersion] = useState(0);
+  // Bumped to reload the open conversation when too much was missed to sync
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // Last message the server refused to send, e.g. while muted
+  const [sendError, setSendError] = useState('');
+  // Seconds until the server accepts messages again after we were rate
+  // limited, and whether we were disconnected for flooding
+  const [rateLimit, setRateLimit] = useState({ seconds: 0, disconnected: false });
+  const [verificationNotice, setVerificationNotice] = useState('');
+  const [showSettings, setShowSettings] = useState(false);
+  // Latest profiles from userUpdated events, keyed by user id; they override
+  // the names and avatars embedded in already loaded messages
+  const [userProfiles, setUserProfiles] = useState({});
+  // Open thread: its parent message and replies
+  const [threadParent, setThreadParent] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  // Unread counts keyed by conversationKey()
+  const [unreadCounts, setUnreadCounts] = useState({});
+  // Read positions of the conversation on screen, one per user
+  const [readStates, setReadStates] = useState([]);
+  // Files added to the message being written: { id, name, progress, attachment, error }
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  // Messages of ours not yet acknowledged by the server, oldest first
+  const [outbox, setOutbox] = useState([]);
+  const fileInputRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // Distance from the bottom of the container to restore after older messages are prepended
+  const scrollAnchorRef = useRef(null);
+  // Jump straight to the bottom when a conversation is first loaded
+  const jumpToBottomRef = useRef(true);
+  // Message to scroll into view once its page has rendered
+  const scrollToMessageRef = useRef(null);
+  // While viewing older history the live tail is not loaded, so new
+  // messages are not appended until the user jumps back to the latest
+  const hasNewerRef = useRef(false);
   const typingTimeoutRef = useRef(null);
+  // The outbox for the delivery loop, which runs across renders
+  const outboxRef = useRef([]);
+  const flushingRef = useRef(false);
+  const flushTimerRef = useRef(null);
+  const flushOutboxRef = useRef(() => {});
+  // Shows a message from the server as if it arrived through newMessage
+  const receiveMessageRef = useRef(() => {});
   const socketRef = useRef(null);
+  const conversationRef = useRef({ user: null, channel: null });
+  // Id of the open thread's parent, for socket listeners
+  const threadIdRef = useRef(null);
+  const showMentionsRef = useRef(false);
+  // Server time up to which we have seen every message change, sent with
+  // sync on reconnect to get what was missed
+  const syncCursorRef = useRef(null);
+  // Socket listeners are set up once, so they reach the latest prop via a ref
+  const onUserUpdateRef = useRef(onUserUpdate);
+  const onBannedRef = useRef(onBanned);
+  useEffect(() => {
+    onUserUpdateRef.current = onUserUpdate;
+    onBannedRef.current = onBanned;
+  }, [onUserUpdate, onBanned]);
+
+  useEffect(() => {
+    showMentionsRef.current = showMentions;
+  }, [showMentions]);
+  // Count down until messages can be sent again
+  useEffect(() => {
+    if (rateLimit.seconds <= 0) return undefined;
+    const timeout = setTimeout(() => {
+      setRateLimit(current => ({ ...current, seconds: current.seconds - 1 }));
+    }, 1000);
+    return () => clearTimeout(timeout);
+  }, [rateLimit.seconds]);
+
+  // Users we muted, for counting unread messages in socket listeners
+  const mutedUsersRef = useRef(user.mutedUsers || []);
+  useEffect(() => {
+    mutedUsersRef.current = user.mutedUsers || [];
+  }, [user.mutedUsers]);
+
+  // Store new block and mute lists and drop already loaded messages of
+  // newly blocked users; the server leaves them out from now on
+  const applyRelations = (relations) => {
+    onUserUpdateRef.current(relations);
+    const blocked = new Set(relations.blockedUsers);
+    const isVisible = (message) => !blocked.has(senderIdOf(message));
+    setMessages(prev => prev.filter(isVisible));
+    setThreadReplies(prev => prev.filter(isVisible));
+  };
+  const applyRelationsRef = useRef(applyRelations);
+  useEffect(() => {
+    applyRelationsRef.current = applyRelations;
+  });
 
   useEffect(() => {
     console.log('🔌 Setting up Socket.io connection...');
     
     // Initialize socket
-    socketRef.current = initializeSocket(user.token);
+    socketRef.current = initializeSocket();
 
-    // Load previous messages
-    messageAPI.getMessages()
-      .then(response => {
-        console.log('📨 Loaded messages:', response.data?.length || 0);
-        setMessages(response.data || []);
-        setLoading(false);
-      })
-      .catch(error => {
-        console.error('❌ Error loading messages:', error);
-        setMessages([]);
-        setLoading(false);
-      });
+    // Unread counts live on the server, so reloads and reconnects resync them
+    const loadUnreadCounts = () => {
+      readAPI.getUnreadCounts()
+        .then(response => {
+          const { global = 0, channels: channelCounts = {}, direct = {} } = response.data || {};
+          const counts = { global };
+          Object.entries(channelCounts).forEach(([id, count]) => {
+            counts[conversationKey({ channelId: id })] = count;
+          });
+          Object.entries(direct).forEach(([id, count]) => {
+            counts[conversationKey({ directUserId: id })] = count;
+          });
+          // The open conversation is read as it is displayed
+          const current = conversationRef.current;
+          delete counts[conversationKey({ channelId: current.channel?._id, directUserId: current.user?.id })];
+          setUnreadCounts(counts);
+        })
+        .catch(error => console.error('❌ Error loading unread counts:', error));
+    };
+    loadUnreadCounts();
 
     // Setup socket event listeners (only once)
     const setupSocketListeners = () => {
@@ -41,9 +268,25 @@ function Chat({ user, onLogout }) {
 
       // Remove existing listeners first to prevent duplicates
       socketRef.current.off('activeUsers');
+      socketRef.current.off('userOffline');
+      socketRef.current.off('userUpdated');
+      socketRef.current.off('statusChanged');
       socketRef.current.off('newMessage');
+      socketRef.current.off('messageEdited');
+      socketRef.current.off('messageDeleted');
+      socketRef.current.off('reactionUpdated');
+      socketRef.current.off('threadUpdated');
       socketRef.current.off('userTyping');
       socketRef.current.off('userStopTyping');
+      socketRef.current.off('channelArchived');
+      socketRef.current.off('addedToChannel');
+      socketRef.current.off('messageRead');
+      socketRef.current.off('muted');
+      socketRef.current.off('roleChanged');
+      socketRef.current.off('banned');
+      socketRef.current.off('relationsUpdated');
+      socketRef.current.off('rateLimited');
+      socketRef.current.off('mentioned');
       socketRef.current.off('error');
 
       console.log('🎧 Setting up Socket.io listeners...');
@@ -54,8 +297,33 @@ function Chat({ user, onLogout }) {
         setActiveUsers(users || []);
       });
 
-      // New message listener - prevent duplicates by checking message ID
-      socketRef.current.on('newMessage', (message) => {
+      // A user changed their name, bio or avatar
+      socketRef.current.on('userUpdated', (profile) => {
+        setUserProfiles(prev => ({ ...prev, [profile._id]: profile }));
+        setKnownUsers(prev => prev.map(knownUser => (
+          knownUser._id === profile._id ? { ...knownUser, ...profile } : knownUser
+        )));
+        // Our own profile, edited in another tab or device
+        if (profile._id === user._id) {
+          const { displayName, bio, avatarUrl } = profile;
+          onUserUpdateRef.current({ displayName, bio, avatarUrl });
+        }
+      });
+
+      socketRef.current.on('userOffline', ({ id, lastSeen }) => {
+        setKnownUsers(prev => prev.map(knownUser => (
+          knownUser._id === id ? { ...knownUser, lastSeen } : knownUser
+        )));
+      });
+
+      // Our own status, also when changed from another tab or device
+      socketRef.current.on('statusChanged', ({ status }) => {
+        setMyStatus(status);
+      });
+
+      // New message listener - prevent duplicates by checking message ID.
+      // Also used for our own messages once the server acknowledges them.
+      const receiveMessage = (message) => {
         console.log('💬 New message received:', message);
         console.log('💬 Message content:', message.content);
         console.log('💬 Message sender:', message.sender);
@@ -66,11 +334,41 @@ function Chat({ user, onLogout }) {
         }
         
         // Ensure message has required fields
-        if (!message.content) {
+        if (!message.content && !message.attachments?.length) {
           console.warn('⚠️ Message missing content:', message);
           return;
         }
         
+        // Thread replies only show in the thread panel
+        if (message.parentId) {
+          if (message.parentId === threadIdRef.current) {
+            setThreadReplies(prev => (
+              prev.some(reply => reply._id === message._id) ? prev : [...prev, message]
+            ));
+          }
+          return;
+        }
+
+        // Count messages from conversations that are not currently open;
+        // muted users' messages don't count
+        const isOwn = senderIdOf(message) === user._id;
+        if (!belongsToConversation(message, conversationRef.current, user._id)) {
+          if (!isOwn && !mutedUsersRef.current.includes(senderIdOf(message))) {
+            const key = conversationKey({
+              channelId: message.channel,
+              directUserId: getDirectUserId(message, user._id)
+            });
+            setUnreadCounts(prev => ({ ...prev, [key]: (prev[key] || 0) + 1 }));
+          }
+          return;
+        }
+        if (hasNewerRef.current) {
+          return;
+        }
+        if (!isOwn) {
+          socketRef.current.emit('markRead', { messageId: message._id });
+        }
+        
         setMessages(prev => {
           // Check if message already exists to prevent duplicates
           const exists = prev.some(msg => msg._id === message._id);
@@ -81,10 +379,46 @@ function Chat({ user, onLogout }) {
           console.log('✅ Adding message to state:', message);
           return [...prev, message];
         });
+      };
+      receiveMessageRef.current = receiveMessage;
+      socketRef.current.on('newMessage', (message) => {
+        syncCursorRef.current = laterOf(syncCursorRef.current, message?.updatedAt);
+        receiveMessage(message);
+      });
+
+      // Edits and deletions replace the message in place; deleted messages
+      // arrive as tombstones
+      const replaceMessage = (updated) => {
+        if (!updated || !updated._id) return;
+        syncCursorRef.current = laterOf(syncCursorRef.current, updated.updatedAt);
+        const replace = (msg) => (msg._id === updated._id ? { ...msg, ...updated } : msg);
+        setMessages(prev => prev.map(replace));
+        setThreadReplies(prev => prev.map(replace));
+        setThreadParent(prev => (prev ? replace(prev) : prev));
+      };
+      socketRef.current.on('messageEdited', replaceMessage);
+      socketRef.current.on('messageDeleted', (deleted) => {
+        replaceMessage(deleted);
+        setEditingMessageId(prev => (prev === deleted?._id ? null : prev));
+      });
+
+      socketRef.current.on('threadUpdated', ({ messageId, replyCount, lastReplyAt, lastReplyBy }) => {
+        const update = (msg) => (
+          msg._id === messageId ? { ...msg, replyCount, lastReplyAt, lastReplyBy } : msg
+        );
+        setMessages(prev => prev.map(update));
+        setThreadParent(prev => (prev ? update(prev) : prev));
+      });
+
+      socketRef.current.on('reactionUpdated', ({ messageId, reactions }) => {
+        setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, reactions } : msg)));
       });
 
       // Typing indicators
-      socketRef.current.on('userTyping', ({ username }) => {
+      socketRef.current.on('userTyping', ({ username, userId, channelId, direct }) => {
+        if (!matchesConversation({ channelId, directUserId: direct ? userId : null }, conversationRef.current)) {
+          return;
+        }
         console.log('⌨️ User typing:', username);
         setTypingUser(username);
         setTimeout(() => setTypingUser(null), 3000);
@@ -94,10 +428,166 @@ function Chat({ user, onLogout }) {
         setTypingUser(null);
       });
 
+      // Read receipts: our own receipts (from any device) clear the unread
+      // count, everyone's receipts update "seen by" in the open conversation
+      socketRef.current.on('messageRead', (receipt) => {
+        const directUserId = receipt.participants
+          ? receipt.participants.find(id => id !== user._id) || null
+          : null;
+        const target = { channelId: receipt.channel, directUserId };
+
+        if (receipt.userId === user._id) {
+          setUnreadCounts(prev => {
+            const key = conversationKey(target);
+            if (!prev[key]) return prev;
+            const next = { ...prev };
+            delete next[key];
+            return next;
+          });
+        }
+
+        if (receipt.userId !== user._id && matchesConversation(target, conversationRef.current)) {
+          setReadStates(prev => {
+            const existing = prev.find(state => state.userId === receipt.userId);
+            if (existing && new Date(existing.timestamp) >= new Date(receipt.timestamp)) {
+              return prev;
+            }
+            return [...prev.filter(state => state.userId !== receipt.userId), receipt];
+          });
+        }
+      });
+
+      // Archived channels become read-only
+      socketRef.current.on('channelArchived', ({ channelId }) => {
+        setChannels(prev => prev.filter(channel => channel._id !== channelId));
+        setSelectedChannel(prev => (prev && prev._id === channelId ? null : prev));
+      });
+
+      // A channel owner added us; the server already joined us to its room
+      socketRef.current.on('addedToChannel', (channel) => {
+        setChannels(prev => [...prev.filter(existing => existing._id !== channel._id), channel]
+          .sort((a, b) => a.name.localeCompare(b.name)));
+      });
+
+      // A moderator muted or unmuted us
+      socketRef.current.on('muted', ({ mutedUntil }) => {
+        onUserUpdateRef.current({ mutedUntil });
+      });
+
+      socketRef.current.on('roleChanged', ({ role }) => {
+        onUserUpdateRef.current({ role });
+      });
+
+      // The server dropped one of our events for coming too fast. Typing
+      // events are only worth mentioning once they lead to a penalty.
+      socketRef.current.on('rateLimited', ({ event, action, retryAfter }) => {
+        const isTyping = event === 'typing' || event === 'stopTyping';
+        if (isTyping && action === 'warn') return;
+        setRateLimit({ seconds: retryAfter, disconnected: action === 'disconnect' });
+      });
+
+      // Someone mentioned us in a new message or an edit. Mentions in the
+      // conversation on screen are already in sight.
+      socketRef.current.on('mentioned', ({ message }) => {
+        setMentionsVersion(version => version + 1);
+        const inSight = !message.parentId && belongsToConversation(message, conversationRef.current, user._id);
+        if (!showMentionsRef.current && !inSight) {
+          setUnseenMentions(count => count + 1);
+        }
+      });
+
+      // Block or mute lists changed in another tab
+      socketRef.current.on('relationsUpdated', (relations) => {
+        applyRelationsRef.current(relations);
+      });
+
+      // Sent just before a ban ends every session of ours
+      socketRef.current.on('banned', ({ bannedUntil, reason }) => {
+        const until = new Date(bannedUntil).toLocaleString();
+        onBannedRef.current(`You have been banned until ${until}.${reason ? ` Reason: ${reason}` : ''}`);
+      });
+
       // Error handling
       socketRef.current.on('error', (error) => {
         console.error('❌ Socket error:', error);
+        if (error?.message) setSendError(error.message);
       });
+
+      // Catch up on messages sent, edited or deleted while we were away.
+      // Unread counts are reloaded separately, so only what is on screen
+      // is updated here.
+      const mergeMissedMessages = (missed) => {
+        const conversationMessages = missed.filter(message => (
+          !message.parentId && belongsToConversation(message, conversationRef.current, user._id)
+        ));
+        if (hasNewerRef.current) {
+          // Only messages already shown are updated while viewing history
+          setMessages(prev => mergeMissed(prev, conversationMessages).filter(message => (
+            prev.some(shown => shown._id === message._id)
+          )));
+        } else {
+          setMessages(prev => mergeMissed(prev, conversationMessages));
+          const latest = conversationMessages.filter(message => !message.deletedAt).pop();
+          if (latest && senderIdOf(latest) !== user._id) {
+            socketRef.current.emit('markRead', { messageId: latest._id });
+          }
+        }
+
+        const threadId = threadIdRef.current;
+        if (threadId) {
+          setThreadReplies(prev => mergeMissed(prev, missed.filter(message => message.parentId === threadId)));
+          const parent = missed.find(message => message._id === threadId);
+          if (parent) setThreadParent(prev => (prev ? { ...prev, ...parent } : prev));
+        }
+
+        if (missed.some(message => message.mentions?.includes(user._id))) {
+          setMentionsVersion(version => version + 1);
+        }
+      };
+
+      // Too much happened while we were away: reload what is on screen
+      const reloadMissed = () => {
+        setHistoryVersion(version => version + 1);
+        const threadId = threadIdRef.current;
+        if (!threadId) return;
+        messageAPI.getThread(threadId)
+          .then(response => {
+            if (threadIdRef.current !== threadId) return;
+            setThreadParent(response.data.parent);
+            setThreadReplies(response.data.messages || []);
+          })
+          .catch(error => console.error('❌ Error reloading thread:', error));
+      };
+
+      const syncMissedMessages = () => {
+        socketRef.current.timeout(ACK_TIMEOUT_MS).emit(
+          'sync',
+          { since: syncCursorRef.current, threadId: threadIdRef.current },
+          (err, response) => {
+            if (err || !response || response.error) {
+              console.error('❌ Error syncing messages:', err || response?.error);
+              return;
+            }
+            const hadCursor = Boolean(syncCursorRef.current);
+            syncCursorRef.current = laterOf(syncCursorRef.current, response.cursor);
+            if (response.reset) {
+              console.log('🔄 Missed too much while disconnected, reloading');
+              reloadMissed();
+            } else if (hadCursor && response.messages?.length) {
+              console.log('🔄 Synced missed messages:', response.messages.length);
+              mergeMissedMessages(response.messages);
+            }
+          }
+        );
+      };
+
+      // Counts may have changed while disconnected, messages may have been
+      // missed, and messages written meanwhile wait in the outbox
+      socketRef.current.on('connect', loadUnreadCounts);
+      socketRef.current.on('connect', syncMissedMessages);
+      socketRef.current.on('connect', () => flushOutboxRef.current());
+      syncMissedMessages();
+      flushOutboxRef.current();
     };
 
     // Setup listeners when socket connects
@@ -114,50 +604,487 @@ function Chat({ user, onLogout }) {
       console.log('🧹 Cleaning up Socket.io connection...');
       if (socketRef.current) {
         socketRef.current.off('newMessage');
+        socketRef.current.off('messageEdited');
+        socketRef.current.off('messageDeleted');
+        socketRef.current.off('reactionUpdated');
+        socketRef.current.off('threadUpdated');
         socketRef.current.off('activeUsers');
+        socketRef.current.off('userOffline');
+        socketRef.current.off('userUpdated');
+        socketRef.current.off('statusChanged');
         socketRef.current.off('userTyping');
         socketRef.current.off('userStopTyping');
+        socketRef.current.off('channelArchived');
+        socketRef.current.off('addedToChannel');
+        socketRef.current.off('messageRead');
+        socketRef.current.off('muted');
+        socketRef.current.off('roleChanged');
+        socketRef.current.off('banned');
+        socketRef.current.off('relationsUpdated');
+        socketRef.current.off('rateLimited');
+        socketRef.current.off('mentioned');
         socketRef.current.off('error');
         socketRef.current.off('connect');
       }
+      clearTimeout(flushTimerRef.current);
       disconnectSocket();
     };
-  }, [user.token]);
+  }, [user._id]);
+
+  // Messages left in the outbox by an earlier visit are sent again
+  useEffect(() => {
+    let cancelled = false;
+    loadOutbox(user._id)
+      .then(entries => {
+        if (cancelled || entries.length === 0) return;
+        const queued = outboxRef.current;
+        outboxRef.current = [...entries.filter(entry => !queued.some(q => q.clientId === entry.clientId)), ...queued];
+        setOutbox(outboxRef.current);
+        flushOutboxRef.current();
+      })
+      .catch(error => console.error('❌ Error loading outbox:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [user._id]);
+
+  useEffect(() => {
+    userAPI.getUsers()
+      .then(response => setKnownUsers(response.data || []))
+      .catch(error => console.error('❌ Error loading users:', error));
+
+    // Keep "last seen" times fresh
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Users who registered after the list was loaded show up once online
+  useEffect(() => {
+    setKnownUsers(prev => {
+      const missing = activeUsers.filter(activeUser => (
+        activeUser.id !== user._id && !prev.some(knownUser => knownUser._id === activeUser.id)
+      ));
+      if (missing.length === 0) return prev;
+      return [...prev, ...missing.map(activeUser => ({
+        _id: activeUser.id,
+        username: activeUser.username,
+        displayName: activeUser.displayName,
+        avatarUrl: activeUser.avatarUrl,
+        lastSeen: null
+      }))];
+    });
+  }, [activeUsers, user._id]);
+
+  useEffect(() => {
+    channelAPI.getChannels()
+      .then(response => setChannels(response.data || []))
+      .catch(error => console.error('❌ Error loading channels:', error));
+  }, []);
 
+  // Load previous messages for the conversation on screen
   useEffect(() => {
-    scrollToBottom();
+    let cancelled = false;
+    const conversation = { user: selectedUser, channel: selectedChannel };
+    conversationRef.current = conversation;
+    setTypingUser(null);
+    scrollAnchorRef.current = null;
+    jumpToBottomRef.current = !jumpTarget;
+    const target = { channelId: selectedChannel?._id, directUserId: selectedUser?.id };
+
+    setUnreadCounts(prev => {
+      const key = conversationKey(target);
+      if (!prev[key]) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+
+    setReadStates([]);
+    const readParams = selectedChannel
+      ? { channel: selectedChannel._id }
+      : selectedUser ? { with: selectedUser.id } : {};
+    readAPI.getReadStates(readParams)
+      .then(response => {
+        if (!cancelled) setReadStates(response.data || []);
+      })
+      .catch(error => console.error('❌ Error loading read receipts:', error));
+
+    fetchConversationPage(conversation, jumpTarget ? { around: jumpTarget.cursor } : undefined)
+      .then(response => {
+        if (cancelled) return;
+        const page = response.data || {};
+        console.log('📨 Loaded messages:', page.messages?.length || 0);
+        hasNewerRef.current = Boolean(page.hasNewer);
+        setHasNewer(hasNewerRef.current);
+        if (jumpTarget) {
+          scrollToMessageRef.current = jumpTarget.messageId;
+          setHighlightedMessageId(jumpTarget.messageId);
+        }
+        setMessages(page.messages || []);
+        setHasMore(Boolean(page.hasMore));
+        setOlderCursor(page.cursors?.before || null);
+        setLoading(false);
+
+        const lastMessage = page.messages?.[page.messages.length - 1];
+        if (lastMessage) {
+          socketRef.current?.emit('markRead', { messageId: lastMessage._id });
+        }
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('❌ Error loading messages:', error);
+        hasNewerRef.current = false;
+        setHasNewer(false);
+        setMessages([]);
+        setHasMore(false);
+        setOlderCursor(null);
+        setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedUser, selectedChannel, jumpTarget, historyVersion]);
+
+  // Fade the highlight from a jumped-to message after a few seconds
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  useLayoutEffect(() => {
+    // Keep the viewport on the same message after prepending an older page
+    const container = messagesContainerRef.current;
+    if (scrollAnchorRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+      return;
+    }
+    if (scrollToMessageRef.current && container) {
+      const target = container.querySelector(`[data-message-id="${scrollToMessageRef.current}"]`);
+      target?.scrollIntoView({ block: 'center' });
+      scrollToMessageRef.current = null;
+      return;
+    }
+    scrollToBottom(jumpToBottomRef.current ? 'auto' : 'smooth');
+    jumpToBottomRef.current = false;
   }, [messages]);
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  const scrollToBottom = (behavior = 'smooth') => {
+    messagesEndRef.current?.scrollIntoView({ behavior });
+  };
+
+  const loadOlderMessages = async () => {
+    if (!hasMore || loadingOlder || !olderCursor) return;
+
+    const conversation = conversationRef.current;
+    setLoadingOlder(true);
+    try {
+      const response = await fetchConversationPage(conversation, { before: olderCursor });
+      // Drop the page if the user switched conversations meanwhile
+      if (conversationRef.current !== conversation) return;
+
+      const page = response.data || {};
+      const container = messagesContainerRef.current;
+      if (container) {
+        scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+      }
+      setMessages(prev => {
+        const existingIds = new Set(prev.map(msg => msg._id));
+        const older = (page.messages || []).filter(msg => !existingIds.has(msg._id));
+        return [...older, ...prev];
+      });
+      setHasMore(Boolean(page.hasMore));
+      setOlderCursor(page.cursors?.before || null);
+    } catch (error) {
+      console.error('❌ Error loading older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80) {
+      loadOlderMessages();
+    }
+  };
+
+  // Socket payload fields identifying the conversation on screen
+  const getConversationTarget = () => {
+    if (selectedChannel) return { channelId: selectedChannel._id };
+    if (selectedUser) return { recipientId: selectedUser.id };
+    return {};
+  };
+
+  const isUploading = pendingUploads.some(upload => !upload.attachment && !upload.error);
+  const uploadedAttachments = pendingUploads.filter(upload => upload.attachment);
+  const isModerator = user.role === 'moderator' || user.role === 'admin';
+  const blockedUsers = user.blockedUsers || [];
+  const mutedUsers = user.mutedUsers || [];
+  // Mutes end on their own; `now` ticks every minute
+  const isMuted = Boolean(user.mutedUntil) && new Date(user.mutedUntil).getTime() > now;
+  const canSend = !isMuted && rateLimit.seconds <= 0 && !isUploading && (newMessage.trim() || uploadedAttachments.length > 0);
+
+  const updateUpload = (id, changes) => {
+    setPendingUploads(prev => prev.map(upload => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  // Upload files right away; they are attached when the message is sent
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList).slice(0, Math.max(0, MAX_ATTACHMENTS - pendingUploads.length));
+    files.forEach(async (file) => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      setPendingUploads(prev => [...prev, { id, name: file.name, progress: 0, attachment: null, error: null }]);
+      try {
+        const response = await attachmentAPI.upload(file, (progress) => updateUpload(id, { progress }));
+        updateUpload(id, { progress: 100, attachment: response.data });
+      } catch (error) {
+        updateUpload(id, { error: error.response?.data?.message || 'Upload failed' });
+      }
+    });
+  };
+
+  const removeUpload = (id) => {
+    setPendingUploads(prev => prev.filter(upload => upload.id !== id));
+  };
+
+  const handleFileInputChange = (e) => {
+    addFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leaving into a child element
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (e.dataTransfer.files.length) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const setOutboxEntries = (update) => {
+    outboxRef.current = update(outboxRef.current);
+    setOutbox(outboxRef.current);
+  };
+
+  const updateOutboxEntry = (clientId, changes) => {
+    const entry = outboxRef.current.find(candidate => candidate.clientId === clientId);
+    if (!entry) return;
+    const updated = { ...entry, ...changes };
+    setOutboxEntries(entries => entries.map(candidate => (candidate.clientId === clientId ? updated : candidate)));
+    saveOutboxEntry(updated).catch(error => console.error('❌ Error saving outbox:', error));
+  };
+
+  const dropOutboxEntry = (clientId) => {
+    setOutboxEntries(entries => entries.filter(entry => entry.clientId !== clientId));
+    removeOutboxEntry(clientId).catch(error => console.error('❌ Error saving outbox:', error));
+  };
+
+  // Send one outbox entry and wait for the server's answer. Resolves with
+  // how long to wait before trying again, or 0 when the entry is settled.
+  const deliver = (entry) => new Promise((resolve) => {
+    socketRef.current.timeout(ACK_TIMEOUT_MS).emit(
+      'sendMessage',
+      { ...entry.payload, clientId: entry.clientId },
+      (timeoutError, response) => {
+        // The server may have saved it anyway; the clientId makes resending safe
+        if (timeoutError) {
+          resolve(RETRY_DELAY_MS);
+        } else if (response?.message) {
+          dropOutboxEntry(entry.clientId);
+          receiveMessageRef.current(response.message);
+          resolve(0);
+        } else if (response?.code === 'rateLimited') {
+          resolve(Math.max(response.retryAfter * 1000, RETRY_DELAY_MS));
+        } else {
+          updateOutboxEntry(entry.clientId, { status: 'failed', error: response?.error || 'Failed to send message' });
+          resolve(0);
+        }
+      }
+    );
+  });
+
+  // Deliver pending messages one at a time, oldest first, so they arrive in
+  // order. Stops while disconnected; reconnecting starts it again.
+  const flushOutbox = async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    clearTimeout(flushTimerRef.current);
+    try {
+      while (socketRef.current?.connected) {
+        const next = outboxRef.current.find(entry => entry.status === 'pending');
+        if (!next) break;
+        const retryIn = await deliver(next);
+        if (retryIn > 0) {
+          flushTimerRef.current = setTimeout(() => flushOutboxRef.current(), retryIn);
+          break;
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  };
+  useEffect(() => {
+    flushOutboxRef.current = flushOutbox;
+  });
+
+  // Messages are shown as pending right away and kept in the outbox until
+  // the server has them, so nothing written offline is lost
+  const queueMessage = (payload, attachments = []) => {
+    const entry = {
+      clientId: createClientId(),
+      userId: user._id,
+      payload,
+      attachments,
+      status: 'pending',
+      error: null,
+      createdAt: Date.now()
+    };
+    setOutboxEntries(entries => [...entries, entry]);
+    saveOutboxEntry(entry).catch(error => console.error('❌ Error saving outbox:', error));
+    flushOutbox();
+  };
+
+  const handleRetryMessage = (clientId) => {
+    updateOutboxEntry(clientId, { status: 'pending', error: null });
+    flushOutbox();
   };
 
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (!newMessage.trim() || !socketRef.current) return;
+    if (!canSend) return;
 
     const messageContent = newMessage.trim();
     setNewMessage('');
-    socketRef.current.emit('stopTyping');
-    
-    // Send message via socket - don't add to state here, wait for server response
-    socketRef.current.emit('sendMessage', { content: messageContent });
+    setPendingUploads([]);
+    setSendError('');
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('stopTyping', getConversationTarget());
+    }
+
+    queueMessage(
+      {
+        content: messageContent,
+        attachmentIds: uploadedAttachments.map(upload => upload.attachment._id),
+        ...getConversationTarget()
+      },
+      uploadedAttachments.map(upload => upload.attachment)
+    );
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      setVerificationNotice(response.data.message);
+    } catch (error) {
+      // Verified in another tab or device since logging in
+      if (error.response?.data?.emailVerified) {
+        onUserUpdate({ emailVerified: true });
+        return;
+      }
+      setVerificationNotice(error.response?.data?.message || 'Could not send verification email');
+    }
   };
 
-  const handleTyping = (e) => {
-    setNewMessage(e.target.value);
+  const handleTyping = (value) => {
+    setNewMessage(value);
+    const target = getConversationTarget();
 
     if (!typingTimeoutRef.current) {
-      socketRef.current.emit('typing');
+      socketRef.current.emit('typing', target);
     }
 
     clearTimeout(typingTimeoutRef.current);
     typingTimeoutRef.current = setTimeout(() => {
-      socketRef.current.emit('stopTyping');
+      socketRef.current.emit('stopTyping', target);
       typingTimeoutRef.current = null;
     }, 1000);
   };
 
+  const startEditing = (message) => {
+    setEditingMessageId(message._id);
+    setEditContent(message.content);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditContent('');
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    if (!editContent.trim()) return;
+    try {
+      // The server broadcasts messageEdited, which updates the list
+      await messageAPI.editMessage(editingMessageId, editContent.trim());
+      cancelEditing();
+    } catch (error) {
+      console.error('❌ Error editing message:', error);
+      // e.g. refused by the server's content filters
+      setSendError(error.response?.data?.message || 'Could not edit message');
+    }
+  };
+
+  const handleDeleteMessage = async (messageId) => {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      await messageAPI.deleteMessage(messageId);
+    } catch (error) {
+      console.error('❌ Error deleting message:', error);
+    }
+  };
+
+  // Block, unblock, mute or unmute another user
+  const handleRelationChange = async (action, targetUser) => {
+    if (action === 'block' && !window.confirm(`Block ${displayNameOf(targetUser)}? They won't be able to message you and you won't see their messages.`)) {
+      return;
+    }
+    const requests = {
+      block: userAPI.blockUser,
+      unblock: userAPI.unblockUser,
+      mute: userAPI.muteUser,
+      unmute: userAPI.unmuteUser
+    };
+    try {
+      const response = await requests[action](targetUser.id);
+      applyRelations(response.data);
+    } catch (error) {
+      console.error(`❌ Error trying to ${action} user:`, error);
+    }
+  };
+
+  // Moderators remove other users' messages with an optional reason
+  const handleRemoveMessage = async (messageId) => {
+    const reason = window.prompt('Remove this message? Optionally give a reason for the moderation log:', '');
+    if (reason === null) return;
+    try {
+      await messageAPI.deleteMessage(messageId, reason.trim());
+    } catch (error) {
+      console.error('❌ Error removing message:', error);
+      window.alert(error.response?.data?.message || 'Could not remove message');
+    }
+  };
+
+  const handleToggleReaction = (messageId, emoji, hasReacted) => {
+    socketRef.current?.emit(hasReacted ? 'removeReaction' : 'addReaction', { messageId, emoji });
+  };
+
+  const handleStatusChange = (e) => {
+    socketRef.current?.emit('setStatus', { status: e.target.value });
+  };
+
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
@@ -168,14 +1095,216 @@ function Chat({ user, onLogout }) {
     if (clickedUser.id === user._id || clickedUser.username === user.username) {
       return;
     }
-    setSelectedUser(clickedUser);
+    openConversation({ user: clickedUser });
     console.log('💬 Selected user for chat:', clickedUser.username);
   };
 
   const handleBackToAll = () => {
-    setSelectedUser(null);
+    openConversation();
+  };
+
+  // Switch the conversation on screen; `jump` opens it around a specific message
+  const openConversation = ({ user: nextUser = null, channel = null, jump = null } = {}) => {
+    setSelectedUser(nextUser);
+    setSelectedChannel(channel);
+    setJumpTarget(jump);
+    closeThread();
+  };
+
+  // Open a thread by its parent's id and load its replies; the parent is
+  // shown right away when already at hand
+  const openThread = async (parentId, parentMessage = null) => {
+    threadIdRef.current = parentId;
+    setShowSearch(false);
+    setShowSessions(false);
+    setShowModeration(false);
+    setShowMentions(false);
+    setThreadParent(parentMessage);
+    setThreadReplies([]);
+    setThreadLoading(true);
+    try {
+      const response = await messageAPI.getThread(parentId);
+      if (threadIdRef.current !== parentId) return;
+      setThreadParent(response.data.parent);
+      setThreadReplies(response.data.messages || []);
+    } catch (error) {
+      console.error('❌ Error loading thread:', error);
+      closeThread();
+    } finally {
+      setThreadLoading(false);
+    }
+  };
+
+  const closeThread = () => {
+    threadIdRef.current = null;
+    setThreadParent(null);
+    setThreadReplies([]);
+  };
+
+  const handleSendThreadReply = (content) => {
+    if (!threadParent) return;
+    queueMessage({ content, parentId: threadParent._id });
+  };
+
+  const handleJumpToLatest = () => {
+    setJumpTarget(null);
+  };
+
+  const handleSearchResultClick = ({ message, cursor }) => {
+    // Replies are shown by jumping to their thread's parent and opening the thread
+    const jump = { messageId: message.parentId || message._id, cursor };
+    if (message.channel) {
+      // Archived channels are not listed but their history is still readable
+      const channel = channels.find(c => c._id === message.channel) || {
+        _id: message.channel,
+        name: 'archived-channel',
+        topic: '',
+        isMember: false,
+        isOwner: false
+      };
+      openConversation({ channel, jump });
+    } else if (message.recipient) {
+      const other = message.sender._id === user._id ? message.recipient : message.sender;
+      openConversation({ user: { id: other._id, username: other.username }, jump });
+    } else {
+      openConversation({ jump });
+    }
+    if (message.parentId) {
+      openThread(message.parentId);
+    }
+  };
+
+  const updateChannel = (updatedChannel) => {
+    setChannels(prev => prev.map(channel => (
+      channel._id === updatedChannel._id ? updatedChannel : channel
+    )));
+  };
+
+  const handleChannelClick = async (channel) => {
+    setChannelError('');
+    try {
+      let openedChannel = channel;
+      if (!channel.isMember) {
+        const response = await channelAPI.joinChannel(channel._id);
+        openedChannel = response.data;
+        updateChannel(openedChannel);
+        socketRef.current?.emit('joinChannel', { channelId: openedChannel._id });
+      }
+      openConversation({ channel: openedChannel });
+    } catch (error) {
+      setChannelError(error.response?.data?.message || 'Could not join channel');
+    }
   };
 
+  const handleCreateChannel = async (e) => {
+    e.preventDefault();
+    setChannelError('');
+    try {
+      const response = await channelAPI.createChannel(channelForm);
+      const channel = response.data;
+      setChannels(prev => [...prev, channel].sort((a, b) => a.name.localeCompare(b.name)));
+      socketRef.current?.emit('joinChannel', { channelId: channel._id });
+      setChannelForm({ name: '', topic: '', isPrivate: false });
+      setShowChannelForm(false);
+      openConversation({ channel });
+    } catch (error) {
+      setChannelError(error.response?.data?.message || 'Could not create channel');
+    }
+  };
+
+  const handleLeaveChannel = async () => {
+    if (!selectedChannel) return;
+    setChannelError('');
+    try {
+      const response = await channelAPI.leaveChannel(selectedChannel._id);
+      socketRef.current?.emit('leaveChannel', { channelId: selectedChannel._id });
+      if (selectedChannel.isPrivate) {
+        setChannels(prev => prev.filter(channel => channel._id !== selectedChannel._id));
+      } else {
+        updateChannel(response.data);
+      }
+      openConversation();
+    } catch (error) {
+      setChannelError(error.response?.data?.message || 'Could not leave channel');
+    }
+  };
+
+  const handleAddChannelMember = async () => {
+    if (!selectedChannel) return;
+    const username = window.prompt(`Add someone to ${selectedChannel.name} by username:`, '');
+    if (!username || !username.trim()) return;
+    setChannelError('');
+    try {
+      const response = await channelAPI.addChannelMember(selectedChannel._id, username.trim());
+      updateChannel(response.data);
+    } catch (error) {
+      setChannelError(error.response?.data?.message || 'Could not add member');
+    }
+  };
+
+  const handleArchiveChannel = async () => {
+    if (!selectedChannel) return;
+    setChannelError('');
+    try {
+      await channelAPI.archiveChannel(selectedChannel._id);
+      setChannels(prev => prev.filter(channel => channel._id !== selectedChannel._id));
+      openConversation();
+    } catch (error) {
+      setChannelError(error.response?.data?.message || 'Could not archive channel');
+    }
+  };
+
+  // Apply the latest known profile to a user embedded in a message
+  const profileOf = (person) => {
+    if (!person) return person;
+    const id = person._id || person.id;
+    if (id === user._id) {
+      return { ...person, displayName: user.displayName, avatarUrl: user.avatarUrl };
+    }
+    return userProfiles[id] ? { ...person, ...userProfiles[id] } : person;
+  };
+
+  // You first, then other online users, then offline users
+  const onlineIds = new Set(activeUsers.map(activeUser => activeUser.id));
+  const sidebarUsers = [
+    { id: user._id, username: user.username, displayName: user.displayName, avatarUrl: user.avatarUrl, status: myStatus },
+    ...activeUsers.filter(activeUser => activeUser.id !== user._id),
+    ...knownUsers
+      .filter(knownUser => !onlineIds.has(knownUser._id))
+      .map(knownUser => ({
+        id: knownUser._id,
+        username: knownUser.username,
+        displayName: knownUser.displayName,
+        avatarUrl: knownUser.avatarUrl,
+        status: 'offline',
+        lastSeen: knownUser.lastSeen
+      }))
+  ];
+
+  // "Seen by" is shown under the latest own message that is not deleted
+  const lastOwnMessageIndex = messages.reduce((last, message, index) => {
+    const senderId = message.sender?._id || message.sender?.id;
+    return senderId === user._id && !message.deletedAt ? index : last;
+  }, -1);
+  const lastOwnMessage = messages[lastOwnMessageIndex];
+  const seenBy = lastOwnMessage
+    ? readStates
+      .filter(state => state.userId !== user._id)
+      .filter(state => new Date(state.timestamp) >= new Date(lastOwnMessage.timestamp))
+      .map(state => state.username)
+    : [];
+
+  // Pending messages are shown until the server's copy of them is on screen
+  const deliveredClientIds = new Set([...messages, ...threadReplies].map(message => message.clientId).filter(Boolean));
+  const undelivered = outbox.filter(entry => !deliveredClientIds.has(entry.clientId));
+  const conversationOutbox = undelivered.filter(entry => !entry.payload.parentId && matchesConversation(
+    { channelId: entry.payload.channelId, directUserId: entry.payload.recipientId },
+    { user: selectedUser, channel: selectedChannel }
+  ));
+  const threadOutbox = threadParent
+    ? undelivered.filter(entry => entry.payload.parentId === threadParent._id)
+    : [];
+
   if (loading) {
     return (
       <div className="chat-container">
@@ -193,60 +1322,268 @@ function Chat({ user, onLogout }) {
             <span className="online-indicator"></span>
             <span>{activeUsers.length} online</span>
           </div>
-          <span>Welcome, {user.username}!</span>
+          <span>Welcome, {displayNameOf(user)}!</span>
+          <select className="status-select" value={myStatus} onChange={handleStatusChange}>
+            {STATUS_OPTIONS.map(status => (
+              <option key={status} value={status}>
+                {status.charAt(0).toUpperCase() + status.slice(1)}
+              </option>
+            ))}
+          </select>
+          <button
+            className="logout-button"
+            onClick={() => {
+              if (!showSearch) closeThread();
+              setShowSessions(false);
+              setShowModeration(false);
+              setShowMentions(false);
+              setShowSearch(!showSearch);
+            }}
+          >
+            🔍 Search
+          </button>
+          <button
+            className="logout-button"
+            onClick={() => {
+              if (!showMentions) closeThread();
+              setShowSearch(false);
+              setShowSessions(false);
+              setShowModeration(false);
+              setUnseenMentions(0);
+              setShowMentions(!showMentions);
+            }}
+          >
+            @ Mentions
+            {unseenMentions > 0 && <span className="unread-badge">{formatUnread(unseenMentions)}</span>}
+          </button>
+          <button
+            className="logout-button"
+            onClick={() => {
+              if (!showSessions) closeThread();
+              setShowSearch(false);
+              setShowModeration(false);
+              setShowMentions(false);
+              setShowSessions(!showSessions);
+            }}
+          >
+            🔐 Sessions
+          </button>
+          {isModerator && (
+            <button
+              className="logout-button"
+              onClick={() => {
+                if (!showModeration) closeThread();
+                setShowSearch(false);
+                setShowSessions(false);
+                setShowMentions(false);
+                setShowModeration(!showModeration);
+              }}
+            >
+              🛡️ Moderation
+            </button>
+          )}
+          <button className="logout-button" onClick={() => setShowSettings(true)}>
+            ⚙️ Settings
+          </button>
           <button className="logout-button" onClick={onLogout}>
             Logout
           </button>
         </div>
       </div>
 
+      {user.emailVerified === false && (
+        <div className="verify-banner">
+          <span>{verificationNotice || `Please verify your email address (${user.email}).`}</span>
+          {!verificationNotice && (
+            <button className="message-action-button" onClick={handleResendVerification}>
+              Resend email
+            </button>
+          )}
+        </div>
+      )}
+
+      {isMuted && (
+        <div className="muted-banner">
+          You have been muted by a moderator until {new Date(user.mutedUntil).toLocaleString()}.
+        </div>
+      )}
+
       <div className="chat-body">
         <div className="users-sidebar">
           <div className="users-header">
-            <h3>👥 Online Users</h3>
+            <h3># Channels</h3>
+            <button
+              className="channel-add-button"
+              onClick={() => setShowChannelForm(!showChannelForm)}
+              title="Create channel"
+            >
+              {showChannelForm ? '×' : '+'}
+            </button>
+          </div>
+          {showChannelForm && (
+            <form className="channel-form" onSubmit={handleCreateChannel}>
+              <input
+                type="text"
+                placeholder="channel-name"
+                value={channelForm.name}
+                onChange={(e) => setChannelForm({ ...channelForm, name: e.target.value })}
+                maxLength="30"
+                required
+              />
+              <input
+                type="text"
+                placeholder="Topic (optional)"
+                value={channelForm.topic}
+                onChange={(e) => setChannelForm({ ...channelForm, topic: e.target.value })}
+                maxLength="200"
+              />
+              <label className="channel-private-toggle">
+                <input
+                  type="checkbox"
+                  checked={channelForm.isPrivate}
+                  onChange={(e) => setChannelForm({ ...channelForm, isPrivate: e.target.checked })}
+                />
+                Private
+              </label>
+              <button type="submit" className="channel-create-button">Create</button>
+            </form>
+          )}
+          {channelError && <div className="channel-error">{channelError}</div>}
+          <div className="channels-list">
+            <div
+              className={`channel-item ${!selectedChannel && !selectedUser ? 'selected' : ''}`}
+              onClick={handleBackToAll}
+            >
+              <span className="channel-name"># general</span>
+              {unreadCounts.global > 0 && (
+                <span className="unread-badge">{formatUnread(unreadCounts.global)}</span>
+              )}
+            </div>
+            {channels.map((channel) => (
+              <div
+                key={channel._id}
+                className={`channel-item ${selectedChannel?._id === channel._id ? 'selected' : ''} ${channel.isMember ? '' : 'not-member'}`}
+                onClick={() => handleChannelClick(channel)}
+                title={channel.topic || channel.name}
+              >
+                <span className="channel-name">
+                  {channel.isPrivate ? '🔒' : '#'} {channel.name}
+                </span>
+                {!channel.isMember && <span className="channel-join">Join</span>}
+                {unreadCounts[conversationKey({ channelId: channel._id })] > 0 && (
+                  <span className="unread-badge">
+                    {formatUnread(unreadCounts[conversationKey({ channelId: channel._id })])}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="users-header">
+            <h3>👥 Users</h3>
             <span className="users-count">{activeUsers.length}</span>
           </div>
           <div className="users-list">
-            {activeUsers.length === 0 ? (
-              <div className="no-users">No other users online</div>
-            ) : (
-              activeUsers.map((activeUser) => {
-                const isCurrentUser = activeUser.id === user._id || activeUser.username === user.username;
-                const isSelected = selectedUser && (selectedUser.id === activeUser.id || selectedUser.username === activeUser.username);
-                
-                return (
-                  <div
-                    key={activeUser.id || activeUser.username}
-                    className={`user-item ${isCurrentUser ? 'current-user' : ''} ${isSelected ? 'selected' : ''}`}
-                    onClick={() => !isCurrentUser && handleUserClick(activeUser)}
-                    style={{ cursor: isCurrentUser ? 'default' : 'pointer' }}
-                  >
-                    <span className="user-indicator"></span>
-                    <span className="user-name">
-                      {activeUser.username}
-                      {isCurrentUser ? ' (You)' : ''}
-                    </span>
-                  </div>
-                );
-              })
+            {sidebarUsers.map((sidebarUser) => {
+              const isCurrentUser = sidebarUser.id === user._id;
+              const isSelected = selectedUser && selectedUser.id === sidebarUser.id;
+              const isOffline = sidebarUser.status === 'offline';
+              const unread = unreadCounts[conversationKey({ directUserId: sidebarUser.id })];
+              const isBlocked = blockedUsers.includes(sidebarUser.id);
+              const isMutedUser = mutedUsers.includes(sidebarUser.id);
+
+              return (
+                <div
+                  key={sidebarUser.id}
+                  className={`user-item ${isCurrentUser ? 'current-user' : ''} ${isSelected ? 'selected' : ''} ${isOffline ? 'offline' : ''}`}
+                  onClick={() => !isCurrentUser && handleUserClick(sidebarUser)}
+                  style={{ cursor: isCurrentUser ? 'default' : 'pointer' }}
+                  title={sidebarUser.status}
+                >
+                  <span className="user-avatar">
+                    <Avatar user={sidebarUser} size={28} />
+                    <span className={`user-indicator status-${sidebarUser.status}`}></span>
+                  </span>
+                  <span className="user-name" title={`@${sidebarUser.username}`}>
+                    {displayNameOf(sidebarUser)}
+                    {isCurrentUser ? ' (You)' : ''}
+                    {isBlocked && <span className="user-relation" title="Blocked"> 🚫</span>}
+                    {isMutedUser && <span className="user-relation" title="Muted"> 🔇</span>}
+                    {isOffline && (
+                      <span className="user-last-seen">{formatLastSeen(sidebarUser.lastSeen, now)}</span>
+                    )}
+                  </span>
+                  {unread > 0 && <span className="unread-badge">{formatUnread(unread)}</span>}
+                </div>
+              );
+            })}
+            {sidebarUsers.length === 1 && (
+              <div className="no-users">No other users yet</div>
             )}
           </div>
         </div>
 
-        <div className="messages-container">
+        <div
+          className={`messages-container ${isDragging ? 'dragging' : ''}`}
+          ref={messagesContainerRef}
+          onScroll={handleMessagesScroll}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          {isDragging && <div className="drop-overlay">Drop files to attach</div>}
           {selectedUser && (
             <div className="chat-with-header">
               <button className="back-button" onClick={handleBackToAll}>← Back</button>
-              <span className="chatting-with">Chatting with: <strong>{selectedUser.username}</strong></span>
+              <span className="chatting-with">Chatting with: <strong>{displayNameOf(profileOf(selectedUser))}</strong></span>
+              <div className="channel-actions">
+                <button
+                  className="channel-action-button"
+                  onClick={() => handleRelationChange(mutedUsers.includes(selectedUser.id) ? 'unmute' : 'mute', selectedUser)}
+                >
+                  {mutedUsers.includes(selectedUser.id) ? 'Unmute' : 'Mute'}
+                </button>
+                <button
+                  className="channel-action-button"
+                  onClick={() => handleRelationChange(blockedUsers.includes(selectedUser.id) ? 'unblock' : 'block', selectedUser)}
+                >
+                  {blockedUsers.includes(selectedUser.id) ? 'Unblock' : 'Block'}
+                </button>
+              </div>
+            </div>
+          )}
+          {selectedChannel && (
+            <div className="chat-with-header">
+              <button className="back-button" onClick={handleBackToAll}>← Back</button>
+              <span className="chatting-with">
+                <strong>{selectedChannel.isPrivate ? '🔒' : '#'} {selectedChannel.name}</strong>
+                {selectedChannel.topic && <span className="channel-topic"> — {selectedChannel.topic}</span>}
+              </span>
+              <div className="channel-actions">
+                <button className="channel-action-button" onClick={handleLeaveChannel}>Leave</button>
+                {selectedChannel.isOwner && (
+                  <>
+                    <button className="channel-action-button" onClick={handleAddChannelMember}>Add member</button>
+                    <button className="channel-action-button" onClick={handleArchiveChannel}>Archive</button>
+                  </>
+                )}
+              </div>
             </div>
           )}
+        {loadingOlder && (
+          <div className="history-status">Loading older messages...</div>
+        )}
+        {!hasMore && messages.length > 0 && (
+          <div className="history-status">Beginning of conversation</div>
+        )}
         {messages.map((message, index) => {
+          const isLastOwnMessage = index === lastOwnMessageIndex;
           // Handle both _id and id for message identifier
           const messageId = message._id || message.id;
           
           // Safely access message properties
           const senderId = message.sender?._id || message.sender?.id || (typeof message.sender === 'string' ? message.sender : null);
-          const senderUsername = message.sender?.username || 'Unknown';
+          const sender = profileOf(message.sender);
+          const senderUsername = displayNameOf(sender);
           
           // Extract content - directly access content property
           // Log the raw message for debugging (only for latest message)
@@ -283,9 +1620,12 @@ function Chat({ user, onLogout }) {
           }
           
           const isOwnMessage = senderId === user._id;
+          const isDeleted = Boolean(message.deletedAt);
+          const isEditing = editingMessageId === messageId;
+          const mentionsMe = !isDeleted && (message.mentions || []).includes(user._id);
           
           // Debug logging for empty messages
-          if (!messageContent && messageId) {
+          if (!messageContent && messageId && !isDeleted && !message.attachments?.length) {
             console.warn('⚠️ Empty message content detected during render:', {
               messageId,
               hasContent: 'content' in message,
@@ -300,38 +1640,240 @@ function Chat({ user, onLogout }) {
           return (
             <div
               key={messageId || `msg-${index}`}
-              className={`message ${isOwnMessage ? 'own' : ''}`}
+              className={`message ${isOwnMessage ? 'own' : ''} ${isDeleted ? 'deleted' : ''} ${highlightedMessageId === messageId ? 'highlighted' : ''} ${mentionsMe ? 'mentions-me' : ''}`}
             >
-              <div className="message-sender">{senderUsername}</div>
-              <div className="message-content" data-message-id={messageId}>
-                {messageContent || '(empty message)'}
+              <div className="message-sender">
+                <Avatar user={sender} size={22} />
+                <span title={sender?.username ? `@${sender.username}` : undefined}>{senderUsername}</span>
+              </div>
+              {isEditing ? (
+                <form className="message-edit-form" onSubmit={handleEditSubmit}>
+                  <MentionInput
+                    className="message-edit-input"
+                    value={editContent}
+                    onChange={setEditContent}
+                    users={knownUsers}
+                    onKeyDown={(e) => e.key === 'Escape' && cancelEditing()}
+                    maxLength="1000"
+                    autoFocus
+                  />
+                  <button type="submit" className="message-action-button" disabled={!editContent.trim()}>
+                    Save
+                  </button>
+                  <button type="button" className="message-action-button" onClick={cancelEditing}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  {(isDeleted || messageContent || !message.attachments?.length) && (
+                    <div className="message-content" data-message-id={messageId}>
+                      {isDeleted
+                        ? 'This message was deleted'
+                        : messageContent
+                          ? <MentionText content={messageContent} currentUsername={user.username} />
+                          : '(empty message)'}
+                    </div>
+                  )}
+                  {!isDeleted && <MessageAttachments attachments={message.attachments} />}
+                </>
+              )}
+              <div className="message-time">
+                {message.timestamp ? formatTime(message.timestamp) : ''}
+                {message.editedAt && !isDeleted && <span className="message-edited"> (edited)</span>}
+                {isOwnMessage && !isDeleted && <span className="message-status" title="Sent"> ✓</span>}
+                {!isDeleted && !isEditing && (
+                  <span className="message-actions">
+                    <button className="message-action-button" onClick={() => openThread(messageId, message)}>
+                      Reply
+                    </button>
+                    {isOwnMessage && (
+                      <>
+                        <button className="message-action-button" onClick={() => startEditing(message)}>
+                          Edit
+                        </button>
+                        <button className="message-action-button" onClick={() => handleDeleteMessage(messageId)}>
+                          Delete
+                        </button>
+                      </>
+                    )}
+                    {!isOwnMessage && isModerator && (
+                      <button className="message-action-button" onClick={() => handleRemoveMessage(messageId)}>
+                        Remove
+                      </button>
+                    )}
+                  </span>
+                )}
               </div>
-              <div className="message-time">{message.timestamp ? formatTime(message.timestamp) : ''}</div>
+              {message.replyCount > 0 && (
+                <button className="thread-summary" onClick={() => openThread(messageId, message)}>
+                  💬 {message.replyCount === 1 ? '1 reply' : `${message.replyCount} replies`}
+                  {message.lastReplyAt && (
+                    <span className="thread-summary-meta">
+                      {' '}· last reply {message.lastReplyBy ? `by ${displayNameOf(profileOf(message.lastReplyBy))} ` : ''}
+                      at {formatTime(message.lastReplyAt)}
+                    </span>
+                  )}
+                </button>
+              )}
+              {!isDeleted && (
+                <MessageReactions
+                  reactions={message.reactions}
+                  currentUserId={user._id}
+                  onToggle={(emoji, hasReacted) => handleToggleReaction(messageId, emoji, hasReacted)}
+                />
+              )}
+              {isLastOwnMessage && seenBy.length > 0 && (
+                <div className="message-seen-by">
+                  Seen by {seenBy.slice(0, 3).join(', ')}
+                  {seenBy.length > 3 ? ` and ${seenBy.length - 3} others` : ''}
+                </div>
+              )}
             </div>
           );
         })}
+        {!hasNewer && conversationOutbox.map(entry => (
+          <PendingMessage
+            key={entry.clientId}
+            entry={entry}
+            user={user}
+            onRetry={handleRetryMessage}
+            onDiscard={dropOutboxEntry}
+          />
+        ))}
         {typingUser && (
           <div className="typing-indicator">{typingUser} is typing...</div>
         )}
+        {hasNewer && (
+          <button className="jump-latest-button" onClick={handleJumpToLatest}>
+            Jump to latest ↓
+          </button>
+        )}
         <div ref={messagesEndRef} />
         </div>
+
+        {threadParent && (
+          <ThreadPanel
+            parent={threadParent}
+            replies={threadReplies}
+            loading={threadLoading}
+            currentUser={user}
+            mentionUsers={knownUsers}
+            pendingReplies={threadOutbox}
+            onRetry={handleRetryMessage}
+            onDiscard={dropOutboxEntry}
+            profileOf={profileOf}
+            formatTime={formatTime}
+            onSend={handleSendThreadReply}
+            onClose={closeThread}
+          />
+        )}
+
+        {showSearch && (
+          <SearchPanel
+            user={user}
+            channels={channels}
+            conversation={{ user: selectedUser, channel: selectedChannel }}
+            onSelectResult={handleSearchResultClick}
+            onClose={() => setShowSearch(false)}
+          />
+        )}
+
+        {showMentions && (
+          <MentionsPanel
+            user={user}
+            channels={channels}
+            refreshKey={mentionsVersion}
+            onSelectResult={handleSearchResultClick}
+            onClose={() => setShowMentions(false)}
+          />
+        )}
+
+        {showSessions && <SessionsPanel onClose={() => setShowSessions(false)} />}
+
+        {showModeration && isModerator && (
+          <ModerationPanel user={user} onClose={() => setShowModeration(false)} />
+        )}
       </div>
 
       <div className="message-input-container">
+        {rateLimit.seconds > 0 ? (
+          <div className="send-error">
+            {rateLimit.disconnected && 'You were disconnected for sending too fast. '}
+            Slow down, try again in {rateLimit.seconds}s
+          </div>
+        ) : (
+          sendError && <div className="send-error">{sendError}</div>
+        )}
+        {pendingUploads.length > 0 && (
+          <div className="pending-uploads">
+            {pendingUploads.map(upload => (
+              <div key={upload.id} className={`pending-upload ${upload.error ? 'failed' : ''}`} title={upload.error || upload.name}>
+                <span className="pending-upload-name">{upload.name}</span>
+                {upload.error ? (
+                  <span className="pending-upload-error">{upload.error}</span>
+                ) : (
+                  <span className="upload-progress">
+                    <span className="upload-progress-bar" style={{ width: `${upload.progress}%` }} />
+                  </span>
+                )}
+                <button
+                  type="button"
+                  className="pending-upload-remove"
+                  onClick={() => removeUpload(upload.id)}
+                  title="Remove"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
         <form className="message-form" onSubmit={handleSendMessage}>
           <input
-            type="text"
+            type="file"
+            ref={fileInputRef}
+            onChange={handleFileInputChange}
+            multiple
+            hidden
+          />
+          <button
+            type="button"
+            className="attach-button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={pendingUploads.length >= MAX_ATTACHMENTS}
+            title="Attach files"
+          >
+            📎
+          </button>
+          <MentionInput
             className="message-input"
-            placeholder="Type your message..."
+            placeholder={
+              selectedChannel
+                ? `Message #${selectedChannel.name}...`
+                : selectedUser ? `Message ${displayNameOf(profileOf(selectedUser))}...` : 'Type your message...'
+            }
             value={newMessage}
             onChange={handleTyping}
+            users={knownUsers}
             maxLength="1000"
           />
-          <button type="submit" className="send-button" disabled={!newMessage.trim()}>
-            Send
+          <button type="submit" className="send-button" disabled={!canSend}>
+            {isUploading ? 'Uploading...' : 'Send'}
           </button>
         </form>
       </div>
+
+      {showSettings && (
+        <SettingsDialog
+          user={user}
+          onClose={() => setShowSettings(false)}
+          onUserUpdate={onUserUpdate}
+          onRelationsChange={applyRelations}
+          knownUsers={knownUsers}
+          onAccountDeleted={onLogout}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,111 @@
+import { useState, useRef, useLayoutEffect } from 'react';
+import { findMentionQuery } from '../utils/mentions';
+import Avatar from './Avatar';
+
+const MAX_SUGGESTIONS = 6;
+
+// Text input that suggests usernames while an @mention is typed. Arrow keys
+// move through the suggestions, Enter or Tab picks one and Escape closes them.
+// onChange receives the new value rather than the event.
+function MentionInput({ value, onChange, users, onKeyDown, ...inputProps }) {
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const caretRef = useRef(null);
+
+  // Put the caret after an inserted mention
+  useLayoutEffect(() => {
+    if (caretRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(caretRef.current, caretRef.current);
+      caretRef.current = null;
+    }
+  }, [value]);
+
+  const query = mention?.query.toLowerCase();
+  const suggestions = mention
+    ? users
+      .filter(candidate => (
+        candidate.username.toLowerCase().startsWith(query) ||
+        candidate.displayName?.toLowerCase().startsWith(query)
+      ))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const updateMention = (input) => {
+    setMention(findMentionQuery(input.value, input.selectionStart));
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    updateMention(e.target);
+    onChange(e.target.value);
+  };
+
+  const pickSuggestion = (candidate) => {
+    const caret = inputRef.current?.selectionStart ?? value.length;
+    const inserted = `@${candidate.username} `;
+    caretRef.current = mention.start + inserted.length;
+    onChange(value.slice(0, mention.start) + inserted + value.slice(caret));
+    setMention(null);
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        pickSuggestion(suggestions[activeIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className="mention-input">
+      <input
+        {...inputProps}
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onSelect={(e) => updateMention(e.target)}
+        onBlur={() => setMention(null)}
+      />
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions">
+          {suggestions.map((candidate, index) => (
+            <li
+              key={candidate._id}
+              className={index === activeIndex ? 'active' : ''}
+              // Keep focus in the input so the pick lands there
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pickSuggestion(candidate);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <Avatar user={candidate} size={20} />
+              <span>{candidate.displayName || candidate.username}</span>
+              <span className="mention-suggestion-username">@{candidate.username}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default MentionInput;
@@ -0,0 +1,20 @@
+import { splitMentions } from '../utils/mentions';
+
+// Message text with @mentions highlighted; mentions of the current user stand out
+function MentionText({ content, currentUsername }) {
+  const ownName = currentUsername?.toLowerCase();
+  return splitMentions(content).map((part, index) => (
+    part.mention ? (
+      <span
+        key={index}
+        className={`mention ${part.mention.toLowerCase() === ownName ? 'mention-self' : ''}`}
+      >
+        @{part.mention}
+      </span>
+    ) : (
+      part.text
+    )
+  ));
+}
+
+export default MentionText;
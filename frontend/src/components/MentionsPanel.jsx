@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { messageAPI } from '../utils/api';
+import { describeConversation } from '../utils/conversations';
+import MentionText from './MentionText';
+
+// Side panel listing messages that mention the current user, newest first.
+// Changing refreshKey reloads the list, e.g. when a new mention arrives.
+function MentionsPanel({ user, channels, refreshKey, onSelectResult, onClose }) {
+  const [results, setResults] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadPage = async (pageNumber) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await messageAPI.getMentions({ page: pageNumber });
+      const data = response.data || {};
+      setResults(prev => (pageNumber === 1 ? data.results || [] : [...prev, ...(data.results || [])]));
+      setPage(pageNumber);
+      setHasMore(Boolean(data.hasMore));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load mentions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPage(1);
+  }, [refreshKey]);
+
+  return (
+    <div className="search-panel">
+      <div className="users-header">
+        <h3>@ Mentions</h3>
+        <button className="channel-add-button" onClick={onClose} title="Close mentions">×</button>
+      </div>
+
+      {error && <div className="channel-error">{error}</div>}
+
+      <div className="search-results">
+        {loading && results.length === 0 && <div className="loading">Loading mentions...</div>}
+        {!loading && !error && results.length === 0 && (
+          <div className="no-users">Nobody has mentioned you yet</div>
+        )}
+        {results.map((result) => (
+          <div
+            key={result.message._id}
+            className="search-result"
+            onClick={() => onSelectResult(result)}
+          >
+            <div className="search-result-meta">
+              <strong>{result.message.sender?.displayName || result.message.sender?.username}</strong>
+              <span>{describeConversation(result.message, channels, user._id)}</span>
+            </div>
+            <div className="search-result-snippet">
+              <MentionText content={result.message.content} currentUsername={user.username} />
+            </div>
+            <div className="message-time">
+              {new Date(result.message.timestamp).toLocaleString()}
+            </div>
+          </div>
+        ))}
+        {hasMore && (
+          <button
+            className="channel-action-button search-more"
+            onClick={() => loadPage(page + 1)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'More mentions'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MentionsPanel;
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { attachmentAPI } from '../utils/api';
+
+const MAX_PREVIEW_SIZE = 280;
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Scale image dimensions down to fit the preview box, so the layout doesn't
+// jump once the image has loaded
+const previewSize = (width, height) => {
+  if (!width || !height) return {};
+  const scale = Math.min(1, MAX_PREVIEW_SIZE / width, MAX_PREVIEW_SIZE / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// Images are fetched with the auth header and shown from a blob URL
+function ImagePreview({ attachment, onOpen }) {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    attachmentAPI.download(attachment._id)
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment._id]);
+
+  if (failed) {
+    return <div className="attachment-card">⚠️ {attachment.name} could not be loaded</div>;
+  }
+
+  return (
+    <button
+      type="button"
+      className="attachment-image"
+      style={previewSize(attachment.width, attachment.height)}
+      onClick={() => onOpen(attachment)}
+      title={attachment.name}
+    >
+      {src ? <img src={src} alt={attachment.name} /> : <span className="attachment-loading">Loading...</span>}
+    </button>
+  );
+}
+
+// Inline previews for images and download cards for other files
+function MessageAttachments({ attachments }) {
+  const [error, setError] = useState('');
+
+  if (!attachments || attachments.length === 0) return null;
+
+  const handleDownload = async (attachment) => {
+    setError('');
+    try {
+      const response = await attachmentAPI.download(attachment._id);
+      const objectUrl = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = attachment.name;
+      link.click();
+      // Give the browser a moment to start the download
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'File not found' : 'Download failed');
+    }
+  };
+
+  return (
+    <div className="message-attachments">
+      {attachments.map(attachment => (
+        attachment.type.startsWith('image/') ? (
+          <ImagePreview key={attachment._id} attachment={attachment} onOpen={handleDownload} />
+        ) : (
+          <button
+            key={attachment._id}
+            type="button"
+            className="attachment-card"
+            onClick={() => handleDownload(attachment)}
+            title={`Download ${attachment.name}`}
+          >
+            <span className="attachment-icon">📄</span>
+            <span className="attachment-info">
+              <span className="attachment-name">{attachment.name}</span>
+              <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+            </span>
+          </button>
+        )
+      ))}
+      {error && <div className="channel-error">{error}</div>}
+    </div>
+  );
+}
+
+export default MessageAttachments;
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉', '🔥', '👀'];
+
+// Reaction chips under a message plus a small picker; clicking a chip or a
+// picker emoji toggles the current user's reaction
+function MessageReactions({ reactions = [], currentUserId, onToggle }) {
+  const [showPicker, setShowPicker] = useState(false);
+
+  const hasReacted = (reaction) =>
+    reaction.userIds.some(userId => userId === currentUserId);
+
+  const handlePick = (emoji) => {
+    setShowPicker(false);
+    const reaction = reactions.find(r => r.emoji === emoji);
+    onToggle(emoji, Boolean(reaction && hasReacted(reaction)));
+  };
+
+  return (
+    <div className="message-reactions">
+      {reactions.map((reaction) => (
+        <button
+          key={reaction.emoji}
+          className={`reaction-chip ${hasReacted(reaction) ? 'mine' : ''}`}
+          onClick={() => onToggle(reaction.emoji, hasReacted(reaction))}
+        >
+          {reaction.emoji} {reaction.userIds.length}
+        </button>
+      ))}
+      <div className="reaction-picker-wrapper">
+        <button
+          className="reaction-add-button"
+          onClick={() => setShowPicker(!showPicker)}
+          title="Add reaction"
+        >
+          ☺+
+        </button>
+        {showPicker && (
+          <div className="reaction-picker">
+            {QUICK_REACTIONS.map((emoji) => (
+              <button key={emoji} className="reaction-picker-option" onClick={() => handlePick(emoji)}>
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MessageReactions;
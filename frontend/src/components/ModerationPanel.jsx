@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { moderationAPI } from '../utils/api';
+import Avatar from './Avatar';
+
+const DURATIONS = [
+  [10, '10 minutes'],
+  [60, '1 hour'],
+  [24 * 60, '1 day'],
+  [7 * 24 * 60, '1 week'],
+  [30 * 24 * 60, '30 days']
+];
+
+const ACTION_LABELS = {
+  deleteMessage: 'deleted a message by',
+  mute: 'muted',
+  unmute: 'unmuted',
+  ban: 'banned',
+  unban: 'unbanned',
+  setRole: 'changed the role of'
+};
+
+const nameOf = (person) => (person ? person.displayName || person.username : 'someone');
+
+// Side panel for moderators: find users to mute or ban, and read the audit log
+function ModerationPanel({ user, onClose }) {
+  const [tab, setTab] = useState('users');
+  const [query, setQuery] = useState('');
+  const [users, setUsers] = useState([]);
+  const [duration, setDuration] = useState(DURATIONS[1][0]);
+  const [reason, setReason] = useState('');
+  const [log, setLog] = useState([]);
+  const [logPage, setLogPage] = useState(1);
+  const [logHasMore, setLogHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const isAdmin = user.role === 'admin';
+
+  useEffect(() => {
+    if (tab !== 'users') return undefined;
+    // Debounce searches while typing
+    const timeout = setTimeout(() => {
+      setLoading(true);
+      moderationAPI.getUsers(query.trim() || undefined)
+        .then(response => setUsers((response.data || []).filter(found => found._id !== user._id)))
+        .catch(err => setError(err.response?.data?.message || 'Could not load users'))
+        .finally(() => setLoading(false));
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [tab, query, user._id]);
+
+  const loadLog = async (page) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await moderationAPI.getLog({ page });
+      const { entries, hasMore } = response.data;
+      setLog(prev => (page === 1 ? entries : [...prev, ...entries]));
+      setLogPage(page);
+      setLogHasMore(hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load the moderation log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (tab === 'log') loadLog(1);
+  }, [tab]);
+
+  // Run an action on a user and show their updated state
+  const runAction = async (request, fallbackError) => {
+    setError('');
+    try {
+      const response = await request();
+      setUsers(prev => prev.map(found => (found._id === response.data._id ? response.data : found)));
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackError);
+    }
+  };
+
+  const handleBan = (target) => {
+    if (!window.confirm(`Ban ${nameOf(target)}? They will be logged out everywhere.`)) return;
+    runAction(() => moderationAPI.ban(target._id, duration, reason.trim()), 'Could not ban user');
+  };
+
+  const formatUntil = (date) => new Date(date).toLocaleString();
+
+  return (
+    <div className="search-panel moderation-panel">
+      <div className="users-header">
+        <h3>🛡️ Moderation</h3>
+        <button className="channel-add-button" onClick={onClose} title="Close moderation">×</button>
+      </div>
+
+      <div className="moderation-tabs">
+        <button className={`message-action-button ${tab === 'users' ? 'active' : ''}`} onClick={() => setTab('users')}>
+          Users
+        </button>
+        <button className={`message-action-button ${tab === 'log' ? 'active' : ''}`} onClick={() => setTab('log')}>
+          Audit log
+        </button>
+      </div>
+
+      {error && <div className="channel-error">{error}</div>}
+
+      {tab === 'users' ? (
+        <>
+          <div className="search-form">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Find a user..."
+            />
+            <div className="moderation-options">
+              <select value={duration} onChange={(e) => setDuration(Number(e.target.value))}>
+                {DURATIONS.map(([minutes, label]) => (
+                  <option key={minutes} value={minutes}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (optional)"
+                maxLength="500"
+              />
+            </div>
+          </div>
+          <div className="search-results">
+            {loading && users.length === 0 && <div className="loading">Loading users...</div>}
+            {users.map(target => {
+              const canModerate = isAdmin ? target.role !== 'admin' : target.role === 'user';
+              return (
+                <div key={target._id} className="moderation-user">
+                  <div className="search-result-meta">
+                    <Avatar user={target} size={22} />
+                    <strong>{nameOf(target)}</strong>
+                    {target.role !== 'user' && <span className="role-badge">{target.role}</span>}
+                  </div>
+                  {(target.mutedUntil || target.bannedUntil) && (
+                    <div className="message-time">
+                      {target.bannedUntil && `Banned until ${formatUntil(target.bannedUntil)}`}
+                      {target.mutedUntil && !target.bannedUntil && `Muted until ${formatUntil(target.mutedUntil)}`}
+                    </div>
+                  )}
+                  {canModerate && (
+                    <div className="moderation-actions">
+                      {target.mutedUntil ? (
+                        <button className="message-action-button" onClick={() => runAction(() => moderationAPI.unmute(target._id), 'Could not unmute user')}>
+                          Unmute
+                        </button>
+                      ) : (
+                        <button className="message-action-button" onClick={() => runAction(() => moderationAPI.mute(target._id, duration, reason.trim()), 'Could not mute user')}>
+                          Mute
+                        </button>
+                      )}
+                      {target.bannedUntil ? (
+                        <button className="message-action-button" onClick={() => runAction(() => moderationAPI.unban(target._id), 'Could not unban user')}>
+                          Unban
+                        </button>
+                      ) : (
+                        <button className="message-action-button" onClick={() => handleBan(target)}>
+                          Ban
+                        </button>
+                      )}
+                      {isAdmin && (
+                        <select
+                          value={target.role}
+                          onChange={(e) => runAction(() => moderationAPI.setRole(target._id, e.target.value), 'Could not change role')}
+                        >
+                          <option value="user">User</option>
+                          <option value="moderator">Moderator</option>
+                          <option value="admin">Admin</option>
+                        </select>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      ) : (
+        <div className="search-results">
+          {loading && log.length === 0 && <div className="loading">Loading log...</div>}
+          {!loading && log.length === 0 && <div className="no-users">No moderation actions yet</div>}
+          {log.map(entry => (
+            <div key={entry._id} className="moderation-log-entry">
+              <div>
+                <strong>{nameOf(entry.actor)}</strong> {ACTION_LABELS[entry.action] || entry.action}{' '}
+                <strong>{nameOf(entry.targetUser)}</strong>
+                {entry.action === 'setRole' && ` to ${entry.role}`}
+                {entry.expiresAt && ` until ${formatUntil(entry.expiresAt)}`}
+              </div>
+              {entry.reason && <div className="moderation-reason">“{entry.reason}”</div>}
+              <div className="message-time">{new Date(entry.createdAt).toLocaleString()}</div>
+            </div>
+          ))}
+          {logHasMore && (
+            <button className="channel-action-button search-more" onClick={() => loadLog(logPage + 1)} disabled={loading}>
+              {loading ? 'Loading...' : 'More entries'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModerationPanel;
@@ -0,0 +1,42 @@
+import MessageAttachments from './MessageAttachments';
+import MentionText from './MentionText';
+import Avatar from './Avatar';
+
+// A message of ours from the outbox: still being sent, or refused with a
+// retry action
+function PendingMessage({ entry, user, onRetry, onDiscard }) {
+  const failed = entry.status === 'failed';
+  return (
+    <div className={`message own outbox-message ${failed ? 'failed' : 'pending'}`}>
+      <div className="message-sender">
+        <Avatar user={user} size={22} />
+        <span>{user.displayName || user.username}</span>
+      </div>
+      {entry.payload.content && (
+        <div className="message-content">
+          <MentionText content={entry.payload.content} currentUsername={user.username} />
+        </div>
+      )}
+      <MessageAttachments attachments={entry.attachments} />
+      <div className="message-time">
+        {failed ? (
+          <>
+            <span className="message-status failed">Not sent{entry.error ? `: ${entry.error}` : ''}</span>
+            <span className="message-actions">
+              <button className="message-action-button" onClick={() => onRetry(entry.clientId)}>
+                Retry
+              </button>
+              <button className="message-action-button" onClick={() => onDiscard(entry.clientId)}>
+                Discard
+              </button>
+            </span>
+          </>
+        ) : (
+          <span className="message-status">Sending...</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PendingMessage;
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { messageAPI } from '../utils/api';
+import { describeConversation } from '../utils/conversations';
+
+// Render a snippet with the server-provided [start, end) highlight ranges
+const renderSnippet = (snippet, highlights = []) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start > position) {
+      parts.push(snippet.slice(position, start));
+    }
+    parts.push(<mark key={index}>{snippet.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < snippet.length) {
+    parts.push(snippet.slice(position));
+  }
+  return parts;
+};
+
+function SearchPanel({ user, channels, conversation, onSelectResult, onClose }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ sender: '', from: '', to: '', currentOnly: false });
+  const [results, setResults] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [searched, setSearched] = useState(false);
+
+  const buildParams = (pageNumber) => {
+    const params = { q: query.trim(), page: pageNumber };
+    if (filters.sender.trim()) params.sender = filters.sender.trim();
+    if (filters.from) params.from = new Date(filters.from).toISOString();
+    if (filters.to) {
+      // Include the whole "to" day
+      const to = new Date(filters.to);
+      to.setHours(23, 59, 59, 999);
+      params.to = to.toISOString();
+    }
+    if (filters.currentOnly) {
+      if (conversation.channel) params.channel = conversation.channel._id;
+      if (conversation.user) params.with = conversation.user.id;
+    }
+    return params;
+  };
+
+  const runSearch = async (pageNumber) => {
+    if (!query.trim()) return;
+    setLoading(true);
+    setError('');
+    try {
+      const response = await messageAPI.searchMessages(buildParams(pageNumber));
+      const data = response.data || {};
+      setResults(prev => (pageNumber === 1 ? data.results || [] : [...prev, ...(data.results || [])]));
+      setPage(pageNumber);
+      setHasMore(Boolean(data.hasMore));
+      setSearched(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(1);
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+  };
+
+  return (
+    <div className="search-panel">
+      <div className="users-header">
+        <h3>🔍 Search</h3>
+        <button className="channel-add-button" onClick={onClose} title="Close search">×</button>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="Search messages..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+        <input
+          type="text"
+          placeholder="From user (optional)"
+          value={filters.sender}
+          onChange={(e) => updateFilter('sender', e.target.value)}
+        />
+        <div className="search-dates">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            title="From date"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            title="To date"
+          />
+        </div>
+        {(conversation.channel || conversation.user) && (
+          <label className="channel-private-toggle">
+            <input
+              type="checkbox"
+              checked={filters.currentOnly}
+              onChange={(e) => updateFilter('currentOnly', e.target.checked)}
+            />
+            Only this conversation
+          </label>
+        )}
+        <button type="submit" className="channel-create-button" disabled={!query.trim() || loading}>
+          {loading && page === 1 ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {error && <div className="channel-error">{error}</div>}
+
+      <div className="search-results">
+        {searched && results.length === 0 && !loading && (
+          <div className="no-users">No messages found</div>
+        )}
+        {results.map((result) => (
+          <div
+            key={result.message._id}
+            className="search-result"
+            onClick={() => onSelectResult(result)}
+          >
+            <div className="search-result-meta">
+              <strong>{result.message.sender.username}</strong>
+              <span>{describeConversation(result.message, channels, user._id)}</span>
+            </div>
+            <div className="search-result-snippet">
+              {renderSnippet(result.snippet, result.highlights)}
+            </div>
+            <div className="message-time">
+              {new Date(result.message.timestamp).toLocaleString()}
+            </div>
+          </div>
+        ))}
+        {hasMore && (
+          <button
+            className="channel-action-button search-more"
+            onClick={() => runSearch(page + 1)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'More results'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../utils/api';
+
+// Short "Browser on OS" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token));
+  const os = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !os) return 'Unknown device';
+  return `${browser ? browser[1] : 'Browser'}${os ? ` on ${os[1]}` : ''}`;
+};
+
+// Side panel listing the user's signed-in devices
+function SessionsPanel({ onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = async () => {
+    setError('');
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not log out device');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Log out of all other devices?')) return;
+    try {
+      await authAPI.revokeOtherSessions();
+      setSessions(prev => prev.filter(session => session.current));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not log out other devices');
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="search-panel sessions-panel">
+      <div className="users-header">
+        <h3>🔐 Sessions</h3>
+        <button className="channel-add-button" onClick={onClose} title="Close sessions">×</button>
+      </div>
+
+      {error && <div className="channel-error">{error}</div>}
+
+      <div className="search-results">
+        {loading ? (
+          <div className="loading">Loading sessions...</div>
+        ) : (
+          sessions.map(session => (
+            <div key={session._id} className={`session-item ${session.current ? 'current' : ''}`}>
+              <div className="search-result-meta">
+                <strong>{describeDevice(session.userAgent)}</strong>
+                {session.current && <span className="session-current">This device</span>}
+              </div>
+              <div className="message-time">
+                {session.ip && `${session.ip} · `}
+                Active {new Date(session.lastUsedAt).toLocaleString()}
+              </div>
+              {!session.current && (
+                <button className="message-action-button" onClick={() => handleRevoke(session._id)}>
+                  Log out
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      {otherSessions.length > 0 && (
+        <div className="sessions-footer">
+          <button className="channel-create-button" onClick={handleRevokeOthers}>
+            Log out other devices
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionsPanel;
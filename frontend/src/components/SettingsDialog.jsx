@@ -0,0 +1,314 @@
+import { useState, useEffect } from 'react';
+import { authAPI, userAPI } from '../utils/api';
+import { getPushState, enablePush, disablePush } from '../utils/push';
+import Avatar from './Avatar';
+
+// Modal for editing the profile, managing blocked and muted users and push
+// notifications, changing the password and deleting the account
+function SettingsDialog({ user, knownUsers = [], onClose, onUserUpdate, onRelationsChange, onAccountDeleted }) {
+  const [profile, setProfile] = useState({
+    displayName: user.displayName || '',
+    bio: user.bio || ''
+  });
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [avatarPreview, setAvatarPreview] = useState(null);
+  const [removeAvatar, setRemoveAvatar] = useState(false);
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  // Feedback per section: { profile, password, account } -> { error, success }
+  const [status, setStatus] = useState({});
+  const [saving, setSaving] = useState('');
+  // 'unsupported', 'denied', 'enabled' or 'disabled'; null while checking
+  const [pushState, setPushState] = useState(null);
+
+  useEffect(() => {
+    getPushState()
+      .then(setPushState)
+      .catch(() => setPushState('unsupported'));
+  }, []);
+
+  // Preview the chosen avatar before it is uploaded
+  useEffect(() => {
+    if (!avatarFile) {
+      setAvatarPreview(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(avatarFile);
+    setAvatarPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [avatarFile]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const setSectionStatus = (section, value) => {
+    setStatus(prev => ({ ...prev, [section]: value }));
+  };
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setAvatarFile(file);
+      setRemoveAvatar(false);
+    }
+    e.target.value = '';
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setSaving('profile');
+    setSectionStatus('profile', null);
+    try {
+      const formData = new FormData();
+      formData.append('displayName', profile.displayName.trim());
+      formData.append('bio', profile.bio.trim());
+      if (avatarFile) {
+        formData.append('avatar', avatarFile);
+      } else if (removeAvatar) {
+        formData.append('removeAvatar', 'true');
+      }
+
+      const response = await authAPI.updateProfile(formData);
+      const { displayName, bio, avatarUrl } = response.data;
+      onUserUpdate({ displayName, bio, avatarUrl });
+      setAvatarFile(null);
+      setRemoveAvatar(false);
+      setSectionStatus('profile', { success: 'Profile saved' });
+    } catch (err) {
+      setSectionStatus('profile', { error: err.response?.data?.message || 'Could not save profile' });
+    } finally {
+      setSaving('');
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setSectionStatus('password', { error: 'Passwords do not match' });
+      return;
+    }
+    setSaving('password');
+    setSectionStatus('password', null);
+    try {
+      await authAPI.changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setSectionStatus('password', { success: 'Password changed. Other devices were logged out.' });
+    } catch (err) {
+      setSectionStatus('password', { error: err.response?.data?.message || 'Could not change password' });
+    } finally {
+      setSaving('');
+    }
+  };
+
+  const handleDeleteSubmit = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? This cannot be undone.')) return;
+    setSaving('account');
+    setSectionStatus('account', null);
+    try {
+      await authAPI.deleteAccount(deletePassword);
+      onAccountDeleted();
+    } catch (err) {
+      setSectionStatus('account', { error: err.response?.data?.message || 'Could not delete account' });
+      setSaving('');
+    }
+  };
+
+  const handlePushToggle = async () => {
+    setSaving('push');
+    setSectionStatus('push', null);
+    try {
+      setPushState(await (pushState === 'enabled' ? disablePush() : enablePush()));
+    } catch (err) {
+      setSectionStatus('push', { error: err.response?.data?.message || 'Could not change notification settings' });
+    } finally {
+      setSaving('');
+    }
+  };
+
+  const handleRemoveRelation = async (request, userId) => {
+    setSectionStatus('relations', null);
+    try {
+      const response = await request(userId);
+      onRelationsChange(response.data);
+    } catch (err) {
+      setSectionStatus('relations', { error: err.response?.data?.message || 'Could not update your lists' });
+    }
+  };
+
+  const renderRelationList = (ids, actionLabel, request) => (
+    ids.length === 0 ? (
+      <p>Nobody</p>
+    ) : (
+      <ul className="settings-relations">
+        {ids.map(id => {
+          const known = knownUsers.find(knownUser => knownUser._id === id);
+          return (
+            <li key={id}>
+              {known ? <Avatar user={known} size={22} /> : null}
+              <span>{known ? known.displayName || known.username : 'Unknown user'}</span>
+              <button type="button" className="message-action-button" onClick={() => handleRemoveRelation(request, id)}>
+                {actionLabel}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    )
+  );
+
+  const renderStatus = (section) => {
+    const sectionStatus = status[section];
+    if (!sectionStatus) return null;
+    return sectionStatus.error
+      ? <div className="channel-error">{sectionStatus.error}</div>
+      : <div className="settings-success">{sectionStatus.success}</div>;
+  };
+
+  const previewUser = {
+    ...user,
+    displayName: profile.displayName,
+    avatarUrl: removeAvatar ? null : user.avatarUrl
+  };
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <div className="settings-dialog" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Settings">
+        <div className="users-header">
+          <h3>⚙️ Settings</h3>
+          <button className="channel-add-button" onClick={onClose} title="Close settings">×</button>
+        </div>
+
+        <div className="settings-content">
+          <form className="settings-section" onSubmit={handleProfileSubmit}>
+            <h4>Profile</h4>
+            <div className="settings-avatar">
+              {avatarPreview ? (
+                <img className="avatar" src={avatarPreview} alt="New avatar" style={{ width: 64, height: 64 }} />
+              ) : (
+                <Avatar user={previewUser} size={64} />
+              )}
+              <div className="settings-avatar-actions">
+                <label className="message-action-button settings-file-label">
+                  Upload image
+                  <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={handleAvatarChange} hidden />
+                </label>
+                {(avatarFile || (user.avatarUrl && !removeAvatar)) && (
+                  <button
+                    type="button"
+                    className="message-action-button"
+                    onClick={() => {
+                      setAvatarFile(null);
+                      setRemoveAvatar(Boolean(user.avatarUrl));
+                    }}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+            <label className="settings-label">
+              Display name
+              <input
+                type="text"
+                value={profile.displayName}
+                onChange={(e) => setProfile({ ...profile, displayName: e.target.value })}
+                placeholder={user.username}
+                maxLength="40"
+              />
+            </label>
+            <label className="settings-label">
+              Bio
+              <textarea
+                value={profile.bio}
+                onChange={(e) => setProfile({ ...profile, bio: e.target.value })}
+                placeholder="Tell others about yourself"
+                maxLength="300"
+                rows="3"
+              />
+            </label>
+            {renderStatus('profile')}
+            <button type="submit" className="channel-create-button" disabled={saving === 'profile'}>
+              {saving === 'profile' ? 'Saving...' : 'Save profile'}
+            </button>
+          </form>
+
+          <div className="settings-section">
+            <h4>Blocked users</h4>
+            {renderRelationList(user.blockedUsers || [], 'Unblock', userAPI.unblockUser)}
+            <h4>Muted users</h4>
+            {renderRelationList(user.mutedUsers || [], 'Unmute', userAPI.unmuteUser)}
+            {renderStatus('relations')}
+          </div>
+
+          <div className="settings-section">
+            <h4>Notifications</h4>
+            <p>Get notified of direct messages and mentions on this device while Tubonge is closed.</p>
+            {pushState === 'unsupported' && <p>This browser does not support push notifications.</p>}
+            {pushState === 'denied' && <p>Notifications are blocked for this site in your browser settings.</p>}
+            {(pushState === 'enabled' || pushState === 'disabled') && (
+              <button type="button" className="channel-create-button" onClick={handlePushToggle} disabled={saving === 'push'}>
+                {pushState === 'enabled' ? 'Turn off notifications' : 'Turn on notifications'}
+              </button>
+            )}
+            {renderStatus('push')}
+          </div>
+
+          <form className="settings-section" onSubmit={handlePasswordSubmit}>
+            <h4>Change password</h4>
+            <input
+              type="password"
+              placeholder="Current password"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              required
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              value={passwords.newPassword}
+              onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              minLength="6"
+              required
+            />
+            <input
+              type="password"
+              placeholder="Repeat new password"
+              value={passwords.confirmPassword}
+              onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              minLength="6"
+              required
+            />
+            {renderStatus('password')}
+            <button type="submit" className="channel-create-button" disabled={saving === 'password'}>
+              {saving === 'password' ? 'Saving...' : 'Change password'}
+            </button>
+          </form>
+
+          <form className="settings-section settings-danger" onSubmit={handleDeleteSubmit}>
+            <h4>Delete account</h4>
+            <p>Your messages stay in conversations, shown as from a deleted user.</p>
+            <input
+              type="password"
+              placeholder="Confirm with your password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              required
+            />
+            {renderStatus('account')}
+            <button type="submit" className="settings-delete-button" disabled={saving === 'account'}>
+              {saving === 'account' ? 'Deleting...' : 'Delete account'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsDialog;
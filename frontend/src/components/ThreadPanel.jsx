@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react';
+import MessageAttachments from './MessageAttachments';
+import Avatar from './Avatar';
+import MentionInput from './MentionInput';
+import MentionText from './MentionText';
+import PendingMessage from './PendingMessage';
+
+// Side panel showing a thread's parent message, its replies and a reply box
+function ThreadPanel({
+  parent,
+  replies,
+  loading,
+  currentUser,
+  mentionUsers,
+  pendingReplies = [],
+  onRetry,
+  onDiscard,
+  profileOf,
+  formatTime,
+  onSend,
+  onClose
+}) {
+  const [reply, setReply] = useState('');
+  const repliesEndRef = useRef(null);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies, pendingReplies.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    onSend(reply.trim());
+    setReply('');
+  };
+
+  const renderMessage = (message, isParent = false) => {
+    const senderId = message.sender?._id || message.sender?.id;
+    const sender = profileOf(message.sender);
+    return (
+      <div
+        key={message._id}
+        className={`message ${senderId === currentUser._id ? 'own' : ''} ${message.deletedAt ? 'deleted' : ''} ${isParent ? 'thread-parent' : ''}`}
+      >
+        <div className="message-sender">
+          <Avatar user={sender} size={22} />
+          <span>{sender?.displayName || sender?.username || 'Unknown'}</span>
+        </div>
+        <div className="message-content">
+          {message.deletedAt
+            ? 'This message was deleted'
+            : <MentionText content={message.content} currentUsername={currentUser.username} />}
+        </div>
+        {!message.deletedAt && <MessageAttachments attachments={message.attachments} />}
+        <div className="message-time">
+          {message.timestamp ? formatTime(message.timestamp) : ''}
+          {message.editedAt && !message.deletedAt && <span className="message-edited"> (edited)</span>}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="search-panel thread-panel">
+      <div className="users-header">
+        <h3>🧵 Thread</h3>
+        <button className="channel-add-button" onClick={onClose} title="Close thread">×</button>
+      </div>
+
+      <div className="thread-messages">
+        {renderMessage(parent, true)}
+        <div className="history-status">
+          {parent.replyCount === 1 ? '1 reply' : `${parent.replyCount || 0} replies`}
+        </div>
+        {loading ? (
+          <div className="loading">Loading replies...</div>
+        ) : (
+          replies.map(replyMessage => renderMessage(replyMessage))
+        )}
+        {pendingReplies.map(entry => (
+          <PendingMessage key={entry.clientId} entry={entry} user={currentUser} onRetry={onRetry} onDiscard={onDiscard} />
+        ))}
+        <div ref={repliesEndRef} />
+      </div>
+
+      {!parent.deletedAt && (
+        <form className="message-form thread-form" onSubmit={handleSubmit}>
+          <MentionInput
+            className="message-input"
+            placeholder="Reply in thread..."
+            value={reply}
+            onChange={setReply}
+            users={mentionUsers}
+            maxLength="1000"
+          />
+          <button type="submit" className="send-button" disabled={!reply.trim()}>
+            Reply
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ThreadPanel;
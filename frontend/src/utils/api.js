@@ -9,24 +9,186 @@ const api = axios.create({
   }
 });
 
+// Absolute URL of a server path such as an avatarUrl
+export const assetUrl = (path) => `${API_URL}${path}`;
+
+const getStoredUser = () => JSON.parse(localStorage.getItem('user') || 'null');
+
+export const getAccessToken = () => getStoredUser()?.token || null;
+
+// Called when the session can no longer be refreshed, e.g. after it was
+// revoked from another device
+let sessionExpiredHandler = null;
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const expireSession = () => {
+  localStorage.removeItem('user');
+  if (sessionExpiredHandler) sessionExpiredHandler();
+};
+
+// Exchange the stored refresh token for new tokens. Concurrent callers share
+// one request, since every refresh token can only be used once.
+let refreshPromise = null;
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const stored = getStoredUser();
+      if (!stored?.refreshToken) {
+        expireSession();
+        throw new Error('Not logged in');
+      }
+      try {
+        const response = await axios.post(`${API_URL}/api/auth/refresh`, { refreshToken: stored.refreshToken });
+        const current = getStoredUser();
+        if (current) {
+          localStorage.setItem('user', JSON.stringify({ ...current, ...response.data }));
+        }
+        return response.data.token;
+      } catch (error) {
+        // Another tab may have refreshed first and stored the new tokens
+        const current = getStoredUser();
+        if (current?.refreshToken && current.refreshToken !== stored.refreshToken) {
+          return current.token;
+        }
+        if (error.response?.status === 401) {
+          expireSession();
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Add token to requests
 api.interceptors.request.use((config) => {
-  const user = localStorage.getItem('user');
-  if (user) {
-    const { token } = JSON.parse(user);
+  const token = getAccessToken();
+  if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
 });
 
+// Access tokens are short-lived: refresh once on 401 and retry the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.skipAuthRefresh || config.retriedAfterRefresh) {
+      throw error;
+    }
+    await refreshSession();
+    config.retriedAfterRefresh = true;
+    return api(config);
+  }
+);
+
 export const authAPI = {
-  register: (userData) => api.post('/auth/register', userData),
-  login: (credentials) => api.post('/auth/login', credentials),
-  getProfile: () => api.get('/auth/profile')
+  // Invalid credentials also answer 401, which must not trigger a refresh
+  register: (userData) => api.post('/auth/register', userData, { skipAuthRefresh: true }),
+  login: (credentials) => api.post('/auth/login', credentials, { skipAuthRefresh: true }),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }, { skipAuthRefresh: true }),
+  getProfile: () => api.get('/auth/profile'),
+  // formData fields: displayName, bio, avatar (file), removeAvatar
+  updateProfile: (formData) =>
+    api.put('/auth/profile', formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  changePassword: (currentPassword, newPassword) =>
+    api.put('/auth/password', { currentPassword, newPassword }),
+  deleteAccount: (password) => api.delete('/auth/account', { data: { password } }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.post('/auth/sessions/revoke-others')
 };
 
 export const messageAPI = {
-  getMessages: (limit = 50) => api.get(`/messages?limit=${limit}`)
+  // params: { limit, before, after, around } - cursors from a previous page or search result
+  getMessages: (params = {}) => api.get('/messages', { params: { limit: 50, ...params } }),
+  getDirectMessages: (userId, params = {}) =>
+    api.get(`/messages/direct/${userId}`, { params: { limit: 50, ...params } }),
+  getChannelMessages: (channelId, params = {}) =>
+    api.get(`/messages/channel/${channelId}`, { params: { limit: 50, ...params } }),
+  editMessage: (messageId, content) => api.put(`/messages/${messageId}`, { content }),
+  // Moderators can delete other users' messages; the reason goes to the audit log
+  deleteMessage: (messageId, reason) =>
+    api.delete(`/messages/${messageId}`, reason ? { data: { reason } } : undefined),
+  // Returns { parent, messages, hasMore, cursors } like the history routes
+  getThread: (messageId, params = {}) =>
+    api.get(`/messages/${messageId}/thread`, { params: { limit: 100, ...params } }),
+  // params: { q, sender, from, to, channel, with, page, limit }
+  searchMessages: (params) => api.get('/messages/search', { params }),
+  // params: { page, limit } - resolves with { results: [{ message, cursor }], page, hasMore }
+  getMentions: (params = {}) => api.get('/messages/mentions', { params })
+};
+
+export const channelAPI = {
+  getChannels: () => api.get('/channels'),
+  createChannel: (channelData) => api.post('/channels', channelData),
+  joinChannel: (channelId) => api.post(`/channels/${channelId}/join`),
+  leaveChannel: (channelId) => api.post(`/channels/${channelId}/leave`),
+  addChannelMember: (channelId, username) => api.post(`/channels/${channelId}/members`, { username }),
+  archiveChannel: (channelId) => api.post(`/channels/${channelId}/archive`)
+};
+
+export const userAPI = {
+  getUsers: () => api.get('/users'),
+  // Each resolves with the updated { blockedUsers, mutedUsers }
+  blockUser: (userId) => api.post(`/users/${userId}/block`),
+  unblockUser: (userId) => api.delete(`/users/${userId}/block`),
+  muteUser: (userId) => api.post(`/users/${userId}/mute`),
+  unmuteUser: (userId) => api.delete(`/users/${userId}/mute`)
+};
+
+export const attachmentAPI = {
+  // Resolves with the attachment metadata; pass its _id in sendMessage's attachmentIds
+  upload: (file, onProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/attachments', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+  },
+  // Downloads go through the API so the auth header is sent
+  download: (attachmentId) =>
+    api.get(`/attachments/${attachmentId}/download`, { responseType: 'blob' })
+};
+
+export const moderationAPI = {
+  getUsers: (q) => api.get('/moderation/users', { params: { q } }),
+  mute: (userId, durationMinutes, reason) =>
+    api.post(`/moderation/users/${userId}/mute`, { durationMinutes, reason }),
+  unmute: (userId) => api.delete(`/moderation/users/${userId}/mute`),
+  ban: (userId, durationMinutes, reason) =>
+    api.post(`/moderation/users/${userId}/ban`, { durationMinutes, reason }),
+  unban: (userId) => api.delete(`/moderation/users/${userId}/ban`),
+  setRole: (userId, role) => api.put(`/moderation/users/${userId}/role`, { role }),
+  // params: { page, limit, userId }
+  getLog: (params = {}) => api.get('/moderation/log', { params })
+};
+
+export const pushAPI = {
+  getPublicKey: () => api.get('/push/public-key'),
+  // subscription: a browser PushSubscription's toJSON()
+  subscribe: (subscription) => api.post('/push/subscribe', subscription),
+  unsubscribe: (endpoint) => api.delete('/push/subscribe', { data: { endpoint } })
+};
+
+export const readAPI = {
+  getUnreadCounts: () => api.get('/reads/unread'),
+  // params: { channel } or { with: userId }; neither for the global chat
+  getReadStates: (params = {}) => api.get('/reads', { params })
 };
 
 export default api;
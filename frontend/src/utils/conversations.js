@@ -0,0 +1,12 @@
+// Describe where a message was posted, e.g. in search results
+export const describeConversation = (message, channels, currentUserId) => {
+  if (message.channel) {
+    const channel = channels.find(c => c._id === message.channel);
+    return channel ? `#${channel.name}` : '#channel';
+  }
+  if (message.recipient) {
+    const other = message.sender._id === currentUserId ? message.recipient : message.sender;
+    return `DM with ${other.username}`;
+  }
+  return '# general';
+};
@@ -0,0 +1,31 @@
+// @username, not part of an email address or another word. Matches the
+// server's rule in backend/utils/mentions.js.
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]{3,20})/g;
+
+// The @word being typed just before the caret, if any
+const PARTIAL_MENTION_PATTERN = /(^|[^\w@.])@([\w.-]{0,20})$/;
+
+// Split content into text and mention parts: [{ text }, { mention: 'alice' }, ...].
+// Trailing dots and dashes are punctuation, not part of the username.
+export const splitMentions = (content) => {
+  const parts = [];
+  let position = 0;
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    const username = match[2].replace(/[.-]+$/, '');
+    if (username.length < 3) continue;
+    const start = match.index + match[1].length;
+    if (start > position) parts.push({ text: content.slice(position, start) });
+    parts.push({ mention: username });
+    position = start + username.length + 1;
+  }
+  if (position < (content || '').length) parts.push({ text: content.slice(position) });
+  return parts;
+};
+
+// Find the mention being typed at the caret: { start, query } where start is
+// the index of the @, or null
+export const findMentionQuery = (value, caret) => {
+  const match = value.slice(0, caret).match(PARTIAL_MENTION_PATTERN);
+  if (!match) return null;
+  return { start: match.index + match[1].length, query: match[2] };
+};
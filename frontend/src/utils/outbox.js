@@ -0,0 +1,71 @@
+// Messages waiting to be delivered, kept in IndexedDB so they survive going
+// offline and reloading the page. Entries look like
+//   { clientId, userId, payload, attachments, status, error, createdAt }
+// where payload is what gets sent with sendMessage and status is 'pending'
+// or 'failed'. Without IndexedDB (e.g. some private windows) entries are
+// only kept in memory.
+const DB_NAME = 'tubonge';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+const memoryStore = new Map();
+let databasePromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolves with null when IndexedDB can't be used
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      databasePromise = Promise.resolve(null);
+    } else {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'clientId' });
+        store.createIndex('userId', 'userId');
+      };
+      databasePromise = promisify(request).catch(error => {
+        console.error('❌ Could not open the outbox database:', error);
+        return null;
+      });
+    }
+  }
+  return databasePromise;
+};
+
+const objectStore = (database, mode) => database.transaction(STORE, mode).objectStore(STORE);
+
+// A user's entries, oldest first
+export const loadOutbox = async (userId) => {
+  const database = await openDatabase();
+  const entries = database
+    ? await promisify(objectStore(database, 'readonly').index('userId').getAll(userId))
+    : [...memoryStore.values()].filter(entry => entry.userId === userId);
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const saveOutboxEntry = async (entry) => {
+  const database = await openDatabase();
+  if (!database) {
+    memoryStore.set(entry.clientId, entry);
+    return;
+  }
+  await promisify(objectStore(database, 'readwrite').put(entry));
+};
+
+export const removeOutboxEntry = async (clientId) => {
+  const database = await openDatabase();
+  if (!database) {
+    memoryStore.delete(clientId);
+    return;
+  }
+  await promisify(objectStore(database, 'readwrite').delete(clientId));
+};
+
+// Ids the server uses to recognise a retried message
+export const createClientId = () => (
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`
+);
@@ -0,0 +1,63 @@
+import { pushAPI } from './api';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; the push manager wants bytes
+const decodeKey = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+const getSubscription = async () => {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// 'unsupported', 'denied', 'enabled' or 'disabled'
+export const getPushState = async () => {
+  if (!isPushSupported()) return 'unsupported';
+  if (Notification.permission === 'denied') return 'denied';
+  return (await getSubscription()) ? 'enabled' : 'disabled';
+};
+
+// Ask for permission, subscribe this browser and register the subscription
+// with the server. Resolves with the new push state.
+export const enablePush = async () => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return permission === 'denied' ? 'denied' : 'disabled';
+
+  const { data } = await pushAPI.getPublicKey();
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+
+  // A subscription made with another server key can't be reused
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) await existing.unsubscribe();
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: decodeKey(data.publicKey)
+  });
+  await pushAPI.subscribe(subscription.toJSON());
+  return 'enabled';
+};
+
+export const disablePush = async () => {
+  const subscription = await getSubscription();
+  if (subscription) {
+    await pushAPI.unsubscribe(subscription.endpoint);
+    await subscription.unsubscribe();
+  }
+  return 'disabled';
+};
+
+// On logout the server drops the session's subscription; drop the browser's
+// too so the next user of this browser starts without one
+export const forgetPushSubscription = async () => {
+  if (!isPushSupported()) return;
+  const subscription = await getSubscription();
+  if (subscription) await subscription.unsubscribe();
+};
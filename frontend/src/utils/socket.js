@@ -1,20 +1,21 @@
 import { io } from 'socket.io-client';
+import { getAccessToken, refreshSession } from './api';
+import { handleReconnects } from './socketReconnect';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
 
 let socket = null;
+let cancelReconnect = null;
 
-export const initializeSocket = (token) => {
+export const initializeSocket = () => {
   // Always create a new connection to ensure fresh state
-  if (socket) {
-    socket.disconnect();
-    socket = null;
-  }
+  disconnectSocket();
 
   console.log('🔌 Initializing Socket.io connection to:', SOCKET_URL);
 
   socket = io(SOCKET_URL, {
-    auth: { token },
+    // Read the token on every (re)connect so refreshed tokens are used
+    auth: (callback) => callback({ token: getAccessToken() }),
     transports: ['polling', 'websocket'],
     reconnection: true,
     reconnectionDelay: 1000,
@@ -24,6 +25,8 @@ export const initializeSocket = (token) => {
     path: '/socket.io/'
   });
 
+  cancelReconnect = handleReconnects(socket, { refreshSession });
+
   socket.on('connect', () => {
     console.log('✅ Socket.io connected successfully');
     console.log('Socket ID:', socket.id);
@@ -47,6 +50,10 @@ export const initializeSocket = (token) => {
 export const getSocket = () => socket;
 
 export const disconnectSocket = () => {
+  if (cancelReconnect) {
+    cancelReconnect();
+    cancelReconnect = null;
+  }
   if (socket) {
     socket.disconnect();
     socket = null;
@@ -0,0 +1,57 @@
+// Reconnects sockets the server turned away. socket.io-client only retries
+// lost connections by itself, not ones the server closed or refused.
+//
+// The server closes a socket for flooding (announced just before by a
+// rateLimited event with action 'disconnect') or when its session ends,
+// and refuses handshakes with an expired access token. After a flood
+// disconnect we wait out retryAfter and reconnect with the same token;
+// otherwise we refresh the session once and reconnect. A revoked session,
+// e.g. after a ban, fails the refresh, which logs the user out.
+//
+// Returns a function that cancels a pending reconnect.
+export const handleReconnects = (socket, { refreshSession, schedule = setTimeout, cancel = clearTimeout }) => {
+  let refreshedForReconnect = false;
+  let lastRateLimit = null;
+  let timer = null;
+
+  const refreshAndReconnect = () => {
+    if (refreshedForReconnect) return;
+    refreshedForReconnect = true;
+    refreshSession()
+      .then(() => socket.connect())
+      .catch(error => console.error('❌ Could not refresh session:', error.message));
+  };
+
+  socket.on('connect', () => {
+    refreshedForReconnect = false;
+    lastRateLimit = null;
+  });
+
+  socket.on('rateLimited', (payload) => {
+    lastRateLimit = payload;
+  });
+
+  socket.on('disconnect', (reason) => {
+    if (reason !== 'io server disconnect') return;
+    if (lastRateLimit?.action === 'disconnect') {
+      timer = schedule(() => {
+        timer = null;
+        socket.connect();
+      }, lastRateLimit.retryAfter * 1000);
+      return;
+    }
+    refreshAndReconnect();
+  });
+
+  socket.on('connect_error', (error) => {
+    // Handshakes rejected by the auth middleware are not retried automatically
+    if (error.message.startsWith('Authentication error')) {
+      refreshAndReconnect();
+    }
+  });
+
+  return () => {
+    if (timer) cancel(timer);
+    timer = null;
+  };
+};
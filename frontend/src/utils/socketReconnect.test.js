@@ -0,0 +1,102 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { handleReconnects } from './socketReconnect.js';
+
+// Stands in for a socket.io-client socket: tests emit its events and count
+// its connect() calls
+class FakeSocket extends EventEmitter {
+  connects = 0;
+
+  connect() {
+    this.connects += 1;
+  }
+}
+
+describe('handleReconnects', () => {
+  let socket;
+  let refreshes;
+  let timers;
+  let cancelReconnect;
+
+  beforeEach(() => {
+    socket = new FakeSocket();
+    refreshes = 0;
+    timers = [];
+    cancelReconnect = handleReconnects(socket, {
+      refreshSession: async () => {
+        refreshes += 1;
+      },
+      schedule: (callback, ms) => {
+        timers.push({ callback, ms });
+        return timers.length;
+      },
+      cancel: (id) => {
+        timers[id - 1] = null;
+      }
+    });
+  });
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('refreshes the session and reconnects when the server ends it', async () => {
+    socket.emit('disconnect', 'io server disconnect');
+    await settle();
+
+    assert.equal(refreshes, 1);
+    assert.equal(socket.connects, 1);
+  });
+
+  it('waits out the penalty after a flood disconnect without refreshing', async () => {
+    socket.emit('rateLimited', { event: 'sendMessage', action: 'disconnect', retryAfter: 60 });
+    socket.emit('disconnect', 'io server disconnect');
+    await settle();
+
+    assert.equal(refreshes, 0);
+    assert.equal(socket.connects, 0);
+    assert.equal(timers.length, 1);
+    assert.equal(timers[0].ms, 60000);
+
+    timers[0].callback();
+    assert.equal(socket.connects, 1);
+  });
+
+  it('cancels a pending reconnect', () => {
+    socket.emit('rateLimited', { event: 'sendMessage', action: 'disconnect', retryAfter: 60 });
+    socket.emit('disconnect', 'io server disconnect');
+    cancelReconnect();
+
+    assert.equal(timers[0], null);
+  });
+
+  it('treats a later server disconnect as a session end again', async () => {
+    socket.emit('rateLimited', { event: 'sendMessage', action: 'disconnect', retryAfter: 60 });
+    socket.emit('disconnect', 'io server disconnect');
+    timers[0].callback();
+    socket.emit('connect');
+
+    socket.emit('disconnect', 'io server disconnect');
+    await settle();
+
+    assert.equal(refreshes, 1);
+    assert.equal(socket.connects, 2);
+  });
+
+  it('refreshes after a warning that did not disconnect', async () => {
+    socket.emit('rateLimited', { event: 'typing', action: 'warn', retryAfter: 1 });
+    socket.emit('disconnect', 'io server disconnect');
+    await settle();
+
+    assert.equal(refreshes, 1);
+    assert.equal(timers.length, 0);
+  });
+
+  it('leaves client and transport disconnects alone', async () => {
+    socket.emit('disconnect', 'io client disconnect');
+    socket.emit('disconnect', 'transport close');
+    await settle();
+
+    assert.equal(refreshes, 0);
+    assert.equal(socket.connects, 0);
+  });
+});